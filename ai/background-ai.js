@@ -0,0 +1,249 @@
+/**
+ * Background AI Client
+ * GeminiClient-style methods for extension pages. Every request runs as a job
+ * in the service worker (see job-manager.js); the job's port carries streamed
+ * tokens and progress back. Plain requests are cancelled when the signal
+ * aborts or the page closes; detached jobs keep running and can be reattached.
+ */
+class BackgroundAI {
+    static PORT_NAME = 'ai-job';
+
+    /**
+     * @param {ConfigService} config - Live settings (defaults to the shared appConfig)
+     */
+    constructor(config = self.appConfig) {
+        this.config = config;
+    }
+
+    /**
+     * Same check as GeminiClient.assertSiteAllowed(); the background repeats it
+     * @param {string} url - Page the content came from
+     * @throws {SiteBlockedError}
+     */
+    async assertSiteAllowed(url) {
+        await this.config.ready;
+        if (!this.config.isAIAllowed(url)) {
+            throw new AIErrors.SiteBlockedError(`AI disabled by site profile: ${ConfigService.getDomain(url)}`);
+        }
+    }
+
+    // ==================== OPERATIONS ====================
+
+    /**
+     * @param {Object} content - { text, url, headings }
+     * @param {Object} options - { length, signal, onToken, onProgress }
+     * @returns {Promise<string>} Summary text
+     */
+    async summarize(content, { length, ...options } = {}) {
+        const data = await this.request('generateSummary', { content, length }, options);
+        return data.summary;
+    }
+
+    /**
+     * @param {Object} content - { text, url }
+     * @param {string} targetLang - Language code (defaults to the output-language setting)
+     * @returns {Promise<string>} Translated text
+     */
+    async translate(content, targetLang = null, options = {}) {
+        const data = await this.request('translateText', { text: content.text, url: content.url, targetLang }, options);
+        return data.translatedText;
+    }
+
+    /**
+     * @returns {Promise<string>} Search results
+     */
+    async search(content, query, options = {}) {
+        const data = await this.request('searchContent', { content, query }, options);
+        return data.answer;
+    }
+
+    /**
+     * @returns {Promise<string>} Answer
+     */
+    async ask(content, query, options = {}) {
+        const data = await this.request('askQuestion', { content, query }, options);
+        return data.answer;
+    }
+
+    /**
+     * @returns {Promise<PageAnalysis>} Analysis results
+     */
+    async analyze(content, options = {}) {
+        return this.request('analyzeContent', { content }, options);
+    }
+
+    /**
+     * @returns {Promise<ImportantSentences>} Important sentences, most important first
+     */
+    async extractImportant(content, options = {}) {
+        return this.request('extractImportant', { content }, options);
+    }
+
+    /**
+     * Today's usage and the daily limits
+     * @returns {Promise<{requests: number, totalTokens: number, models: Object,
+     *          dailyRequests: number, dailyTokens: number}>}
+     */
+    async getUsage() {
+        return this.send('getUsage');
+    }
+
+    // ==================== JOBS ====================
+
+    /**
+     * Start a job that keeps running after this page closes
+     * @param {string} action - BackgroundService action (generateSummary, translateText, searchContent)
+     * @param {Object} payload - Action fields
+     * @returns {Promise<Object>} Job snapshot (id, state, ...)
+     */
+    startJob(action, payload = {}) {
+        return new Promise((resolve, reject) => {
+            const port = chrome.runtime.connect({ name: BackgroundAI.PORT_NAME });
+            port.onMessage.addListener((message) => {
+                if (message.type !== 'job') return;
+                port.disconnect();
+                resolve(message.job);
+            });
+            port.onDisconnect.addListener(() => reject(new AIErrors.AIError('Background service disconnected')));
+            port.postMessage({ type: 'start', action, payload, stream: true, detached: true });
+        });
+    }
+
+    /**
+     * Follow a running or finished job; aborting the signal only stops following
+     * @param {string} jobId - Job id
+     * @param {Object} options - { signal, onJob, onToken, onProgress }
+     * @returns {Promise<*>} Job result
+     */
+    attach(jobId, options = {}) {
+        return this.follow({ type: 'attach', jobId }, options);
+    }
+
+    /**
+     * Run a job again with changed fields, e.g. { regenerate: true }
+     * @returns {Promise<*>} Result of the new job
+     */
+    restartJob(jobId, changes = {}, options = {}) {
+        return this.follow({ type: 'restart', jobId, changes }, options);
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether a running job was cancelled
+     */
+    async cancelJob(jobId) {
+        return this.send('cancelJob', { jobId });
+    }
+
+    /**
+     * @param {string} url - Only jobs for this page
+     * @returns {Promise<Object[]>} Job snapshots, newest first
+     */
+    async listJobs(url = null) {
+        return this.send('getJobs', { url });
+    }
+
+    // ==================== TRANSPORT ====================
+
+    /**
+     * Run one background action as a job tied to this page
+     * @param {string} action - BackgroundService action
+     * @param {Object} payload - Action fields
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Disconnects the port, which cancels the job
+     * @param {Function} options.onToken - Streamed response, called as (chunk, fullText)
+     * @param {Function} options.onProgress - Called as ({ stage, completed, total })
+     * @param {Function} options.onQueue - Position in the request scheduler's queue, 0 once running
+     * @returns {Promise<*>} Action result
+     * @throws {AIError|DOMException} Error rebuilt from the job
+     */
+    request(action, payload = {}, { signal, onToken, onProgress, onQueue } = {}) {
+        return this.follow(
+            { type: 'start', action, payload, stream: Boolean(onToken), detached: false },
+            { signal, onToken, onProgress, onQueue }
+        );
+    }
+
+    /**
+     * Send a port message and follow the job it refers to until it finishes
+     * @param {Object} message - start | attach | restart (see JobManager)
+     * @param {Object} options - { signal, onJob: every job snapshot, onToken, onProgress, onQueue }
+     * @returns {Promise<*>} Job result
+     */
+    follow(message, { signal, onJob, onToken, onProgress, onQueue } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Request aborted', 'AbortError'));
+                return;
+            }
+
+            const port = chrome.runtime.connect({ name: BackgroundAI.PORT_NAME });
+            let settled = false;
+            let text = '';
+            let queuePosition = 0;
+
+            const finish = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                signal?.removeEventListener('abort', onAbort);
+                port.disconnect();
+                callback(value);
+            };
+            const onAbort = () => finish(reject, new DOMException('Request aborted', 'AbortError'));
+
+            port.onMessage.addListener((message) => {
+                switch (message.type) {
+                    case 'job': {
+                        const { job } = message;
+                        onJob?.(job);
+                        // 요청 스케줄러의 대기 순번 (0 = 시작됨)
+                        if ((job.queuePosition || 0) !== queuePosition) {
+                            queuePosition = job.queuePosition || 0;
+                            onQueue?.(queuePosition);
+                        }
+                        // 다시 연결했을 때 그동안 받은 텍스트부터 표시
+                        if (job.text && job.text !== text) {
+                            onToken?.(job.text.slice(text.length), job.text);
+                            text = job.text;
+                        }
+                        if (job.state === 'done') finish(resolve, job.result);
+                        if (job.state === 'failed') finish(reject, Messaging.deserializeError(job.error));
+                        if (job.state === 'cancelled') finish(reject, new DOMException('Job cancelled', 'AbortError'));
+                        break;
+                    }
+                    case 'token':
+                        onToken?.(message.fullText.slice(text.length), message.fullText);
+                        text = message.fullText;
+                        break;
+                    case 'progress':
+                        onProgress?.(message.progress);
+                        break;
+                    case 'missing':
+                        finish(reject, new Error('This result is no longer available. Run it again.'));
+                        break;
+                }
+            });
+            // service worker가 종료되면 응답 없이 연결이 끊김
+            port.onDisconnect.addListener(() => {
+                finish(reject, new AIErrors.AIError('Background service disconnected'));
+            });
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            port.postMessage(message);
+        });
+    }
+
+    /**
+     * One-off message to the background
+     * @returns {Promise<*>} Response data
+     */
+    send(action, payload = {}) {
+        return Messaging.send(action, payload);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackgroundAI;
+} else {
+    self.BackgroundAI = BackgroundAI;
+}
@@ -0,0 +1,257 @@
+/**
+ * AI Error Model
+ * Typed errors thrown by GeminiClient so callers can show actionable messages
+ */
+class AIError extends Error {
+    /**
+     * @param {string} message - Technical message (logged)
+     * @param {Object} details - Extra details
+     * @param {number} details.status - HTTP status, if any
+     * @param {string} details.provider - Provider id
+     * @param {Error} details.cause - Underlying error
+     * @param {number} details.retryAfterMs - Server-requested wait before retrying
+     */
+    constructor(message, { status = null, provider = null, cause = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.provider = provider;
+        this.cause = cause;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get code() {
+        return 'ai_error';
+    }
+
+    /** Whether trying the same request again may succeed */
+    get retryable() {
+        return true;
+    }
+
+    /** Message shown to the user */
+    get userMessage() {
+        return 'AI 요청을 처리하지 못했습니다. 잠시 후 다시 시도해주세요.';
+    }
+}
+
+class AuthError extends AIError {
+    get code() { return 'auth'; }
+    get retryable() { return false; }
+    get userMessage() {
+        return 'API 키가 없거나 올바르지 않습니다. 설정에서 API 키를 확인해주세요.';
+    }
+}
+
+class QuotaError extends AIError {
+    get code() { return 'quota'; }
+    get userMessage() {
+        const wait = this.retryAfterMs ? `${Math.ceil(this.retryAfterMs / 1000)}초 후` : '잠시 후';
+        return `AI 요청 한도를 초과했습니다 (429). ${wait} 다시 시도해주세요.`;
+    }
+}
+
+class SafetyBlockedError extends AIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.reason = details.reason || null;
+    }
+
+    get code() { return 'safety_blocked'; }
+    get retryable() { return false; }
+    get userMessage() {
+        return '안전 정책에 의해 AI 응답이 차단되었습니다. 다른 내용으로 시도해주세요.';
+    }
+}
+
+class NetworkError extends AIError {
+    get code() { return 'network'; }
+    get userMessage() {
+        return this.provider === 'ollama'
+            ? '로컬 AI 서버에 연결할 수 없습니다. 서버가 실행 중인지 확인해주세요.'
+            : '네트워크에 연결할 수 없습니다. 인터넷 연결을 확인해주세요.';
+    }
+}
+
+class TimeoutError extends AIError {
+    get code() { return 'timeout'; }
+    get userMessage() {
+        return 'AI 응답 시간이 초과되었습니다. 다시 시도해주세요.';
+    }
+}
+
+class EmptyResponseError extends AIError {
+    get code() { return 'empty_response'; }
+    get userMessage() {
+        return 'AI가 빈 응답을 반환했습니다. 다시 시도해주세요.';
+    }
+}
+
+class InvalidResponseError extends AIError {
+    get code() { return 'invalid_response'; }
+    get userMessage() {
+        return 'AI 응답 형식이 올바르지 않습니다. 다시 시도해주세요.';
+    }
+}
+
+class ServerError extends AIError {
+    get code() { return 'server'; }
+    get retryable() { return this.status === null || this.status >= 500; }
+    get userMessage() {
+        return this.status >= 500
+            ? 'AI 서비스가 일시적으로 사용할 수 없습니다. 잠시 후 다시 시도해주세요.'
+            : `AI 요청이 거부되었습니다 (${this.status}). 설정을 확인해주세요.`;
+    }
+}
+
+class CircuitOpenError extends AIError {
+    get code() { return 'circuit_open'; }
+    get retryable() { return false; }
+    get userMessage() {
+        const wait = this.retryAfterMs ? `${Math.ceil(this.retryAfterMs / 1000)}초` : '잠시';
+        return `AI 서비스 오류가 반복되어 요청을 일시 중단했습니다. ${wait} 후 다시 시도해주세요.`;
+    }
+}
+
+class SiteBlockedError extends AIError {
+    get code() { return 'site_blocked'; }
+    get retryable() { return false; }
+    get userMessage() {
+        return '이 사이트는 사이트 프로필에서 AI 전송이 꺼져 있습니다. 설정에서 변경할 수 있습니다.';
+    }
+}
+
+class ContentUnavailableError extends AIError {
+    get code() { return 'content_unavailable'; }
+    get userMessage() {
+        return '페이지 내용을 읽지 못했습니다. 페이지를 새로고침한 뒤 다시 시도해주세요.';
+    }
+}
+
+const AIErrors = {
+    AIError,
+    AuthError,
+    QuotaError,
+    SafetyBlockedError,
+    NetworkError,
+    TimeoutError,
+    EmptyResponseError,
+    InvalidResponseError,
+    ServerError,
+    CircuitOpenError,
+    SiteBlockedError,
+    ContentUnavailableError,
+
+    /**
+     * Map a non-OK HTTP response to a typed error
+     * @param {number} status - HTTP status
+     * @param {string} message - Provider error message
+     * @param {Object} details - provider, errorData, retryAfterMs
+     * @returns {AIError} Typed error
+     */
+    fromResponse(status, message, { provider = null, errorData = {}, retryAfterMs = null } = {}) {
+        const text = `API Error: ${status} - ${message}`;
+        const reason = errorData?.error?.details?.[0]?.reason || errorData?.error?.status;
+
+        if (status === 401 || status === 403 || reason === 'API_KEY_INVALID') {
+            return new AuthError(text, { status, provider });
+        }
+        if (status === 429) {
+            return new QuotaError(text, {
+                status,
+                provider,
+                retryAfterMs: retryAfterMs ?? this.parseRetryInfo(errorData)
+            });
+        }
+        if (status === 408 || status === 504) {
+            return new TimeoutError(text, { status, provider });
+        }
+        return new ServerError(text, { status, provider, retryAfterMs });
+    },
+
+    /**
+     * Read the delay from a Gemini google.rpc.RetryInfo error detail ("37s", "1.5s")
+     * @returns {number|null} Delay in ms
+     */
+    parseRetryInfo(errorData) {
+        const details = errorData?.error?.details || [];
+        const retryInfo = details.find(detail => detail['@type']?.endsWith('google.rpc.RetryInfo'));
+        const seconds = parseFloat(retryInfo?.retryDelay);
+        return seconds > 0 ? Math.round(seconds * 1000) : null;
+    },
+
+    /**
+     * Wrap anything thrown by fetch / parsing into a typed error
+     * AbortError (user cancel) is passed through untouched
+     */
+    fromException(error, { provider = null } = {}) {
+        if (error instanceof AIError || error?.name === 'AbortError') return error;
+        if (error?.name === 'TimeoutError') {
+            return new TimeoutError(error.message, { provider, cause: error });
+        }
+        if (error instanceof TypeError) {
+            // fetch()는 연결 실패 시 TypeError를 던짐
+            return new NetworkError(error.message, { provider, cause: error });
+        }
+        return new AIError(error?.message || String(error), { provider, cause: error });
+    },
+
+    /**
+     * Plain object for sending an error between extension contexts
+     * (errors lose their class and getters when structured-cloned)
+     * @returns {{name: string, code: string, message: string, status: number,
+     *           provider: string, retryAfterMs: number, reason: string}}
+     */
+    serialize(error) {
+        return {
+            name: error?.name || 'Error',
+            code: error instanceof AIError ? error.code : null,
+            message: error?.message || String(error),
+            status: error?.status ?? null,
+            provider: error?.provider ?? null,
+            retryAfterMs: error?.retryAfterMs ?? null,
+            reason: error?.reason ?? null
+        };
+    },
+
+    /**
+     * Rebuild the typed error from serialize() output
+     * @returns {Error} AIError subclass, AbortError DOMException or plain Error
+     */
+    deserialize(data = {}) {
+        if (data.name === 'AbortError') {
+            return new DOMException(data.message, 'AbortError');
+        }
+
+        const ErrorClass = [
+            AuthError, QuotaError, SafetyBlockedError, NetworkError, TimeoutError, EmptyResponseError,
+            InvalidResponseError, ServerError, CircuitOpenError, SiteBlockedError, ContentUnavailableError, AIError
+        ].find(Type => Type.prototype.code === data.code);
+        if (!ErrorClass) return new Error(data.message);
+
+        const { status, provider, retryAfterMs, reason } = data;
+        return new ErrorClass(data.message, { status, provider, retryAfterMs, reason });
+    },
+
+    /**
+     * User-facing description for any error (typed or not)
+     * @returns {{message: string, retryable: boolean, code: string}}
+     */
+    describe(error) {
+        if (error instanceof AIError) {
+            return { message: error.userMessage, retryable: error.retryable, code: error.code };
+        }
+        return {
+            message: error?.message || 'Unknown error occurred',
+            retryable: true,
+            code: 'unknown'
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIErrors;
+} else {
+    self.AIErrors = AIErrors;
+}
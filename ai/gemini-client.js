@@ -1,175 +1,586 @@
 /**
  * Gemini AI Client - Free Tier Optimized
  * Uses free tier compatible models and endpoints
+ * Requests go through a pluggable provider (see ai/providers.js)
  */
 class GeminiClient {
-    constructor() {
-        // Load environment variables
-        console.log('GeminiClient constructor - window.envLoader:', window.envLoader);
-        
-        // API 키를 직접 설정 (환경 변수 우회)
-        this.env = {
-            GEMINI_API_KEY: 'your-api-key',
-            GEMINI_MODEL: 'gemini-2.0-flash',
-            GEMINI_BASE_URL: 'https://generativelanguage.googleapis.com/v1beta/models',
-            GEMINI_MAX_TOKENS: 512,
-            GEMINI_TEMPERATURE: 0.7
-        };
-        
-        console.log('GeminiClient - Loaded env:', this.env);
-        
-        this.apiKey = this.env.GEMINI_API_KEY;
-        this.baseUrl = this.env.GEMINI_BASE_URL;
-        this.model = this.env.GEMINI_MODEL;
-        
-        console.log('GeminiClient - Final config:', {
-            apiKey: this.apiKey,
-            baseUrl: this.baseUrl,
-            model: this.model
-        });
+    /**
+     * @param {ConfigService} config - Live settings (defaults to the shared appConfig)
+     * @param {DiagnosticsStore} diagnostics - Request history for the diagnostics page
+     * @param {RequestScheduler} scheduler - Shared rate limits and request dedupe (service worker only)
+     */
+    constructor(config = self.appConfig, diagnostics = self.diagnostics, scheduler = null) {
+        this.config = config;
+        this.diagnostics = diagnostics || null;
+        this.scheduler = scheduler;
         this.defaultConfig = {
-            temperature: this.env.GEMINI_TEMPERATURE,
+            temperature: 0.7,
             topK: 40,
             topP: 0.95,
-            maxOutputTokens: this.env.GEMINI_MAX_TOKENS
+            maxOutputTokens: 2048 // 설정의 Max output tokens (모든 작업의 상한)
+        };
+        this.requestTimeout = 30000; // 30초
+        this.retryPolicy = new AIRetry.RetryPolicy();
+        this.circuitBreaker = GeminiClient.getCircuitBreaker();
+        this.usageTracker = new UsageTracker();
+        this.prompts = new PromptRegistry(config);
+        
+        // 요청당 입력 토큰 예산 (무료 등급 기준)
+        this.tokenBudgets = {
+            summarizeChunk: 1000,
+            translate: 500,
+            search: 1000,
+            ask: 1000,
+            analyze: 1000,
+            extractImportant: 1000,
+            selection: 1000,
+            selectionContext: 500
         };
+
+        // summaryLength 설정별 문장 수와 출력 토큰 예산
+        this.summaryLengths = {
+            short: { sentences: '1-2', chunkSentences: '1-2', maxOutputTokens: 120, mergeTokens: 150 },
+            medium: { sentences: '3-4', chunkSentences: '2-3', maxOutputTokens: 200, mergeTokens: 300 },
+            long: { sentences: '6-8', chunkSentences: '3-4', maxOutputTokens: 400, mergeTokens: 500 }
+        };
+
+        // 설정이 로드되기 전까지는 기본값, 이후 변경은 새로고침 없이 즉시 반영
+        this.applyConfig();
+        this.providerReady = this.config.ready.then(() => this.applyConfig());
+        this.config.subscribe(() => this.applyConfig(), ConfigService.PROVIDER_KEYS);
+    }
+
+    /**
+     * Rebuild the provider and generation options from the current settings
+     */
+    applyConfig() {
+        Object.assign(this.defaultConfig, this.config.getGenerationConfig());
+
+        const { id, ...settings } = this.config.getProviderSettings();
+        try {
+            this.useProvider(id, settings);
+        } catch (error) {
+            logger.log('Falling back to Gemini:', error.message);
+            this.useProvider('gemini', this.config.getProviderSettings('gemini'));
+        }
+    }
+
+    /**
+     * Switch the backend used by every generation method
+     * @param {string} id - Provider id ('gemini' | 'openai' | 'ollama')
+     * @param {Object} settings - Provider settings (apiKey, baseUrl, model)
+     */
+    useProvider(id, settings = {}) {
+        this.provider = LLMProviders.create(id, settings);
+        this.model = this.provider.model;
+        logger.log('GeminiClient - Using provider:', id, this.model);
+    }
+
+    /**
+     * Identifies the backend for cache keys and usage tracking
+     * @returns {Promise<string>} e.g. 'gemini:gemini-2.0-flash'
+     */
+    async getModelId() {
+        await this.providerReady;
+        return `${this.provider.name}:${this.provider.model}`;
     }
 
     /**
-     * Generate text using Gemini API
+     * Refuse to send content from a site whose profile says "never send to AI"
+     * @param {string} url - Page the content came from
+     * @throws {SiteBlockedError}
+     */
+    async assertSiteAllowed(url) {
+        await this.config.ready;
+        if (!this.config.isAIAllowed(url)) {
+            throw new AIErrors.SiteBlockedError(`AI disabled by site profile: ${ConfigService.getDomain(url)}`);
+        }
+    }
+
+    /**
+     * Generate text using the configured provider
      * @param {string} prompt - The input prompt
      * @param {Object} options - Generation options
+     * @param {Function} options.onToken - Stream the response, called as (chunk, fullText)
+     * @param {AbortSignal} options.signal - Cancels the request and any pending retries
+     * @param {string} options.operation - Name shown on the diagnostics page (summarize, translate, ...)
+     * @param {number} options.tabId - Tab the request is for; the foreground tab is scheduled first
+     * @param {Function} options.onQueue - Queue position while waiting for the scheduler, 0 once started
      * @returns {Promise<string>} Generated text
+     * @throws {DOMException} AbortError when options.signal is aborted
+     * @throws {AIError} AuthError, QuotaError, SafetyBlockedError, NetworkError,
+     *                   TimeoutError, EmptyResponseError or ServerError (see ai/errors.js)
      */
     async generateText(prompt, options = {}) {
-        const maxRetries = 3;
-        const retryDelay = 1000; // 1초
+        if (!this.scheduler) return this.trackRequest(prompt, options);
+
+        // 같은 요청이 이미 진행 중이면 (다른 탭, 같은 페이지의 두 창 등) 그 결과를 함께 받음
+        await this.providerReady;
+        const key = JSON.stringify([
+            this.provider.name,
+            await this.getModelId(),
+            this.buildConfig(options),
+            Boolean(options.onToken),
+            prompt
+        ]);
+        return this.scheduler.shared(key, shared => this.trackRequest(prompt, shared), options);
+    }
+
+    /**
+     * generateText() for one caller, recorded on the diagnostics page
+     */
+    async trackRequest(prompt, options) {
+        await this.providerReady;
+        const model = await this.getModelId();
+        const trace = { attempts: 0, usage: null, partial: false };
+        const startedAt = Date.now();
+        let failure = null;
+
+        try {
+            return await this.requestText(prompt, options, trace);
+        } catch (error) {
+            failure = error;
+            throw error;
+        } finally {
+            this.diagnostics?.recordRequest({
+                operation: options.operation || 'generateText',
+                model,
+                latencyMs: Date.now() - startedAt,
+                status: failure
+                    ? (failure.name === 'AbortError' ? 'aborted' : failure.code || 'error')
+                    : (trace.partial ? 'partial' : 'ok'),
+                retries: Math.max(0, trace.attempts - 1),
+                usage: trace.usage,
+                error: failure?.message || null
+            });
+        }
+    }
 
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    /**
+     * generateText() without the diagnostics record: retries, streaming and
+     * circuit breaking. Fills `trace` with the attempt count and token usage.
+     */
+    async requestText(prompt, options, trace) {
+        const { onToken, signal } = options;
+        const provider = this.provider.name;
+
+        for (let attempt = 1; ; attempt++) {
+            trace.attempts = attempt;
+            signal?.throwIfAborted();
+            await this.circuitBreaker.check(provider);
+            // 시도마다 슬롯을 받고, 재시도 대기 전에 돌려줌
+            const release = this.scheduler
+                ? await this.scheduler.acquire({ tabId: options.tabId, signal, onQueue: options.onQueue })
+                : () => {};
+
+            let streamed = '';
             try {
-                const config = { ...this.defaultConfig, ...options };
-                
-                const url = `${this.baseUrl}/${this.model}:generateContent?key=${this.apiKey}`;
-                console.log('API Request URL:', url);
-                console.log('API Request body:', JSON.stringify({
-                    contents: [{ parts: [{ text: prompt }] }],
-                    generationConfig: config
-                }));
-                
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: { 
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json',
-                        'User-Agent': 'Chrome-Extension/1.0'
-                    },
-                    mode: 'cors',
-                    credentials: 'omit',
-                    body: JSON.stringify({
-                        contents: [{ parts: [{ text: prompt }] }],
-                        generationConfig: config
-                    })
-                });
-                
-                console.log('API Response status:', response.status);
-                console.log('API Response headers:', response.headers);
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    console.error('API Error Response:', errorData);
-                    
-                    // 503 오류인 경우 재시도
-                    if (response.status === 503 && attempt < maxRetries) {
-                        console.log(`API 503 error, retrying in ${retryDelay * attempt}ms... (attempt ${attempt}/${maxRetries})`);
-                        await this.delay(retryDelay * attempt);
-                        continue;
+                if (onToken) {
+                    for await (const chunk of this.streamText(prompt, options, trace)) {
+                        streamed += chunk;
+                        onToken(chunk, streamed);
                     }
-                    
-                    throw new Error(`API Error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+                    if (!streamed) throw new AIErrors.EmptyResponseError('No content generated', { provider });
+                    await this.circuitBreaker.recordSuccess(provider);
+                    return streamed;
                 }
 
-                const data = await response.json();
+                const { url, init } = this.provider.buildRequest(prompt, this.buildConfig(options));
                 
-                if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-                    return data.candidates[0].content.parts[0].text;
-                } else {
-                    throw new Error('No content generated');
+                logger.log('API Request URL:', url);
+                logger.log('API Request body:', init.body);
+                
+                const timeout = AbortSignal.timeout(this.requestTimeout);
+                const response = await this.fetchResponse(url, {
+                    ...init,
+                    signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+                });
+                const data = await response.json();
+                this.checkBlocked(data);
+                trace.usage = this.provider.parseUsage(data);
+                await this.recordUsage(trace.usage);
+
+                const text = this.provider.parseResponse(data);
+                if (!text) {
+                    throw new AIErrors.EmptyResponseError('No content generated', { provider });
                 }
+                await this.circuitBreaker.recordSuccess(provider);
+                return text;
             } catch (error) {
-                console.error(`Gemini API Error (attempt ${attempt}/${maxRetries}):`, error);
-                
-                // 마지막 시도가 아니면 재시도
-                if (attempt < maxRetries) {
-                    await this.delay(retryDelay * attempt);
-                    continue;
+                release();
+                // 이미 화면에 출력된 스트림은 다시 요청하지 않고 받은 만큼 반환 (Stop 포함)
+                if (streamed) {
+                    logger.log('Stream interrupted, keeping partial response:', error.message);
+                    trace.partial = true;
+                    return streamed;
                 }
-                
-                // 모든 재시도 실패 시 fallback
-                return this.getFallbackResponse(prompt, error);
+
+                const typedError = AIErrors.fromException(error, { provider });
+                if (typedError.name === 'AbortError') throw typedError;
+
+                logger.error(`${provider} API Error (attempt ${attempt}/${this.retryPolicy.maxAttempts}):`, typedError);
+                await this.circuitBreaker.recordFailure(provider, typedError);
+
+                if (!this.retryPolicy.shouldRetry(typedError, attempt)) {
+                    throw typedError;
+                }
+
+                const wait = this.retryPolicy.getDelay(typedError, attempt);
+                logger.log(`Retrying in ${wait}ms... (attempt ${attempt + 1}/${this.retryPolicy.maxAttempts})`);
+                await this.delay(wait, signal);
+            } finally {
+                release();
             }
         }
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    /**
+     * fetch() wrapper that turns non-OK responses into typed errors
+     * @returns {Promise<Response>} OK response
+     */
+    async fetchResponse(url, init) {
+        const response = await fetch(url, init);
+        logger.log('API Response status:', response.status);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            logger.error('API Error Response:', errorData);
+
+            const retryAfter = Number(response.headers.get('Retry-After'));
+            throw AIErrors.fromResponse(response.status, this.provider.extractErrorMessage(errorData), {
+                provider: this.provider.name,
+                errorData,
+                retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+            });
+        }
+        return response;
     }
 
-    getFallbackResponse(prompt, error) {
-        console.log('Using fallback response due to API error:', error.message);
-        
-        // 간단한 fallback 응답 생성
-        if (prompt.includes('요약') || prompt.includes('summary')) {
-            return '죄송합니다. 현재 AI 서비스에 일시적인 문제가 있습니다. 페이지를 새로고침하고 다시 시도해주세요.';
-        } else if (prompt.includes('번역') || prompt.includes('translate')) {
-            return '번역 서비스가 일시적으로 사용할 수 없습니다. 잠시 후 다시 시도해주세요.';
-        } else if (prompt.includes('검색') || prompt.includes('search')) {
-            return '검색 서비스가 일시적으로 사용할 수 없습니다. 잠시 후 다시 시도해주세요.';
-        } else {
-            return 'AI 서비스가 일시적으로 사용할 수 없습니다. 잠시 후 다시 시도해주세요.';
+    /**
+     * Throw SafetyBlockedError when the provider refused to answer
+     */
+    checkBlocked(data) {
+        const reason = this.provider.getBlockReason(data);
+        if (reason) {
+            throw new AIErrors.SafetyBlockedError(`Response blocked: ${reason}`, {
+                provider: this.provider.name,
+                reason
+            });
+        }
+    }
+
+    /**
+     * Stream text from the configured provider as it is generated
+     * (Gemini streamGenerateContent SSE, OpenAI SSE, Ollama NDJSON)
+     * @param {string} prompt - The input prompt
+     * @param {Object} options - Generation options, plus signal
+     * @param {Object} trace - Receives the reported token usage (see generateText)
+     * @yields {string} Partial text chunks
+     * @throws {TimeoutError} When nothing arrives for requestTimeout ms
+     */
+    async *streamText(prompt, options = {}, trace = null) {
+        await this.providerReady;
+
+        const { url, init } = this.provider.buildRequest(prompt, this.buildConfig(options), { stream: true });
+        logger.log('API Stream URL:', url);
+
+        // 스트림 전체가 아니라 청크 사이의 대기 시간에 제한을 둠 (멈춘 스트림이 슬롯을 계속 쥐지 않도록)
+        const idle = new AbortController();
+        let idleTimer = null;
+        const resetIdle = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => idle.abort(), this.requestTimeout);
+        };
+        const stalled = (error) => (idle.signal.aborted && !options.signal?.aborted
+            ? new AIErrors.TimeoutError(`No stream data for ${this.requestTimeout} ms`, {
+                provider: this.provider.name,
+                cause: error
+            })
+            : error);
+
+        resetIdle();
+        let response;
+        try {
+            response = await this.fetchResponse(url, {
+                ...init,
+                signal: options.signal ? AbortSignal.any([options.signal, idle.signal]) : idle.signal
+            });
+        } catch (error) {
+            clearTimeout(idleTimer);
+            throw stalled(error);
+        }
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const stream = { usage: null };
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                resetIdle();
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const text = this.readStreamLine(line, stream);
+                    if (text) yield text;
+                }
+            }
+
+            const text = this.readStreamLine(buffer + decoder.decode(), stream);
+            if (text) yield text;
+        } catch (error) {
+            throw stalled(error);
+        } finally {
+            clearTimeout(idleTimer);
+            reader.releaseLock();
+            if (trace) trace.usage = stream.usage;
+            await this.recordUsage(stream.usage);
+        }
+    }
+
+    readStreamLine(line, stream) {
+        const event = this.provider.parseStreamEvent(line);
+        if (!event) return null;
+
+        this.checkBlocked(event);
+        // 사용량은 보통 마지막 이벤트에 포함됨
+        stream.usage = this.provider.parseUsage(event) || stream.usage;
+        return this.provider.parseStreamChunk(event);
+    }
+
+    // ==================== TOKENS & USAGE ====================
+
+    async recordUsage(usage) {
+        await this.usageTracker.record(await this.getModelId(), usage || {});
+    }
+
+    /**
+     * Count tokens in text. Uses the offline estimate while it is comfortably
+     * under budget, and the provider's countTokens endpoint near the limit.
+     * @param {string} text - Text to measure
+     * @param {Object} options - { budget: token budget the text must fit }
+     * @returns {Promise<number>} Token count
+     */
+    async countTokens(text, { budget = Infinity } = {}) {
+        const estimate = TokenCounter.estimate(text);
+        if (estimate < budget * 0.8) return estimate;
+
+        await this.providerReady;
+        const request = this.provider.buildCountTokensRequest(text);
+        if (!request) return estimate;
+
+        try {
+            const response = await this.fetchResponse(request.url, {
+                ...request.init,
+                signal: AbortSignal.timeout(5000)
+            });
+            return this.provider.parseTokenCount(await response.json()) ?? estimate;
+        } catch (error) {
+            logger.log('countTokens failed, using estimate:', error.message);
+            return estimate;
+        }
+    }
+
+    /**
+     * Input token budget for one request: the per-operation budget,
+     * capped by what is left of today's token allowance
+     */
+    async getInputBudget(operation) {
+        const remaining = await this.usageTracker.getRemaining();
+        return Math.max(1, Math.min(this.tokenBudgets[operation], remaining.tokens));
+    }
+
+    /**
+     * Truncate text to the input budget of an operation
+     */
+    async fitToBudget(text, operation) {
+        const budget = await this.getInputBudget(operation);
+        const tokens = await this.countTokens(text, { budget });
+        return TokenCounter.truncate(text, budget, tokens);
+    }
+
+    /**
+     * Merge per-call options into the default generation config,
+     * dropping client-only keys (onToken, signal, operation, tabId, onQueue).
+     * Each operation's maxOutputTokens is capped by the max-tokens setting.
+     */
+    buildConfig(options = {}) {
+        const { onToken, signal, operation, tabId, onQueue, ...generation } = options;
+        const maxOutputTokens = Math.min(
+            generation.maxOutputTokens ?? this.defaultConfig.maxOutputTokens,
+            this.defaultConfig.maxOutputTokens
+        );
+        return { ...this.defaultConfig, ...generation, maxOutputTokens };
+    }
+
+    /**
+     * One circuit breaker per page; state is shared across pages via chrome.storage
+     */
+    static getCircuitBreaker() {
+        if (!GeminiClient.circuitBreaker) {
+            GeminiClient.circuitBreaker = new AIRetry.CircuitBreaker();
         }
+        return GeminiClient.circuitBreaker;
+    }
+
+    /**
+     * Wait between retries; rejects with AbortError as soon as signal is aborted
+     */
+    delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     /**
      * Summarize text content
+     * Long text is split into chunks, each chunk is summarized, then the partial
+     * summaries are merged (map-reduce)
      * @param {string} text - Text to summarize
      * @param {Object} options - Summary options
-     * @returns {Promise<string>} Summary text
+     * @param {string[]} options.headings - Page heading texts used as chunk boundaries
+     * @param {string} options.length - 'short' | 'medium' | 'long' (defaults to the summaryLength setting)
+     * @param {Function} options.onProgress - Called as ({ stage, completed, total })
+     * @returns {Promise<string>} Summary text, with a note when today's token budget
+     *          could not cover the whole text
      */
     async summarize(text, options = {}) {
-        // 무료 등급을 위한 텍스트 길이 제한
-        const maxLength = 2000;
-        const truncatedText = text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
-        
-        const prompt = `다음 텍스트를 한국어로 요약해주세요 (3-4문장):\n\n${truncatedText}\n\n요약:`;
-        
-        return await this.generateText(prompt, {
+        await this.config.ready;
+        const { headings, onProgress, onToken, length, ...generation } = options;
+        const preset = this.summaryLengths[length || this.config.get('summaryLength')] || this.summaryLengths.medium;
+        const summaryOptions = {
+            operation: 'summarize',
             temperature: 0.3,
-            maxOutputTokens: 200, // 무료 등급 제한
-            ...options
+            maxOutputTokens: preset.maxOutputTokens, // 무료 등급 제한
+            ...generation
+        };
+
+        // 청크 수는 오늘 남은 요청 수로 정하고 (reduce 단계 몫을 남겨 둠), 청크 크기는
+        // 본문 전체를 덮도록 TextChunker가 키움. 본문은 남은 토큰으로 보낼 수 없을 때만 자름
+        const chunkBudget = await this.getInputBudget('summarizeChunk');
+        const remaining = await this.usageTracker.getRemaining();
+        const maxChunks = Math.max(1, Math.min(8, remaining.requests - 1));
+        const inputBudget = Math.max(chunkBudget, remaining.tokens - (maxChunks + 1) * summaryOptions.maxOutputTokens);
+        const totalTokens = await this.countTokens(text, { budget: inputBudget });
+        const fitted = TokenCounter.truncate(text, inputBudget, totalTokens);
+        const note = fitted === text
+            ? ''
+            : `\n\n⚠️ Only the first ${Math.round((fitted.length / text.length) * 100)}% of the page was summarized: today's AI token budget is almost used up.`;
+
+        const chunks = TextChunker.split(fitted, {
+            maxChars: TokenCounter.charsForTokens(fitted, chunkBudget, Math.min(totalTokens, inputBudget)),
+            maxChunks,
+            headings
         });
+        const withNote = (summary) => {
+            if (note) onToken?.(note, summary + note);
+            return summary + note;
+        };
+
+        if (chunks.length <= 1) {
+            onProgress?.({ stage: 'summarize', completed: 0, total: 1 });
+            const prompt = await this.prompts.render('summarize', { text: chunks[0] || '', sentences: preset.sentences });
+            return withNote(await this.generateText(prompt, { ...summaryOptions, onToken }));
+        }
+
+        // Map: 청크별 부분 요약 (무료 등급 RPM을 고려해 순차 처리)
+        const partials = [];
+        for (let i = 0; i < chunks.length; i++) {
+            summaryOptions.signal?.throwIfAborted();
+            onProgress?.({ stage: 'map', completed: i, total: chunks.length });
+            const prompt = await this.prompts.render('summarizeChunk', {
+                text: chunks[i],
+                part: i + 1,
+                total: chunks.length,
+                sentences: preset.chunkSentences
+            });
+            partials.push(await this.generateText(prompt, summaryOptions));
+        }
+
+        // Reduce: 부분 요약을 하나로 병합
+        onProgress?.({ stage: 'reduce', completed: chunks.length, total: chunks.length });
+        const merged = partials.map((summary, i) => `[${i + 1}] ${summary}`).join('\n');
+        const prompt = await this.prompts.render('summarizeMerge', { summaries: merged, sentences: preset.sentences });
+        
+        return withNote(await this.generateText(prompt, {
+            ...summaryOptions,
+            maxOutputTokens: preset.mergeTokens,
+            onToken
+        }));
     }
 
     /**
      * Translate text to target language
      * @param {string} text - Text to translate
-     * @param {string} targetLang - Target language
+     * @param {string} targetLang - Target language code or name (defaults to the output-language setting)
      * @param {Object} options - Translation options
      * @returns {Promise<string>} Translated text
      */
-    async translate(text, targetLang = 'Korean', options = {}) {
-        // 무료 등급을 위한 텍스트 길이 제한
-        const maxLength = 1000;
-        const truncatedText = text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+    async translate(text, targetLang = null, options = {}) {
+        await this.prompts.ready;
+        const targetLanguage = this.prompts.getLanguageName(targetLang || this.prompts.outputLanguage);
+
+        // 무료 등급을 위한 입력 토큰 제한
+        const truncatedText = await this.fitToBudget(text, 'translate');
         
-        const prompt = `다음 텍스트를 ${targetLang}로 번역해주세요:\n\n${truncatedText}\n\n번역:`;
+        const prompt = await this.prompts.render('translate', { text: truncatedText, targetLanguage });
         
         return await this.generateText(prompt, {
+            operation: 'translate',
             temperature: 0.1,
             maxOutputTokens: 300, // 무료 등급 제한
             ...options
         });
     }
 
+    /**
+     * Translate page text fragments in one request, keeping their order
+     * @param {string[]} segments - Text fragments (e.g. the text nodes of a page)
+     * @param {string} targetLang - Target language code or name (defaults to the output-language setting)
+     * @param {Object} options - Generation options
+     * @returns {Promise<string[]>} One translation per segment
+     * @throws {InvalidResponseError} When the number of translations does not match
+     */
+    async translateSegments(segments, targetLang = null, options = {}) {
+        await this.prompts.ready;
+        const targetLanguage = this.prompts.getLanguageName(targetLang || this.prompts.outputLanguage);
+        const prompt = await this.prompts.render('translateSegments', {
+            segments: JSON.stringify(segments),
+            targetLanguage
+        });
+
+        const { translations } = await this.generateJSON(prompt, GeminiClient.schemas.translations, {
+            operation: 'translatePage',
+            temperature: 0.1,
+            maxOutputTokens: 2048,
+            ...options
+        });
+        if (translations.length !== segments.length) {
+            throw new AIErrors.InvalidResponseError(
+                `Expected ${segments.length} translations, got ${translations.length}`,
+                { provider: this.provider.name }
+            );
+        }
+        return translations;
+    }
+
     /**
      * Search for relevant information in text
      * @param {string} text - Text to search in
@@ -178,36 +589,151 @@ class GeminiClient {
      * @returns {Promise<string>} Search results
      */
     async search(text, query, options = {}) {
-        // 무료 등급을 위한 텍스트 길이 제한
-        const maxLength = 1500;
-        const truncatedText = text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+        // 무료 등급을 위한 입력 토큰 제한
+        const truncatedText = await this.fitToBudget(text, 'search');
         
-        const prompt = `다음 텍스트에서 "${query}"와 관련된 정보를 찾아서 설명해주세요:\n\n텍스트:\n${truncatedText}\n\n검색어: ${query}\n\n관련 정보:`;
+        const prompt = await this.prompts.render('search', { text: truncatedText, query });
         
         return await this.generateText(prompt, {
+            operation: 'search',
             temperature: 0.3,
             maxOutputTokens: 250, // 무료 등급 제한
             ...options
         });
     }
 
+    /**
+     * Answer a question about page content
+     * @param {string} text - Page text
+     * @param {string} question - User question
+     * @param {Object} options - Generation options
+     * @returns {Promise<string>} Answer
+     */
+    async ask(text, question, options = {}) {
+        const prompt = await this.prompts.render('ask', { text: await this.fitToBudget(text, 'ask'), query: question });
+        return await this.generateText(prompt, { operation: 'ask', ...options });
+    }
+
+    /**
+     * Explain a passage selected on a page
+     * @param {string} text - Selected text
+     * @param {Object} options - { context: text around the selection, ...generation options }
+     * @returns {Promise<string>} Explanation
+     */
+    async explain(text, { context = '', ...options } = {}) {
+        const prompt = await this.prompts.render('explain', {
+            text: await this.fitToBudget(text, 'selection'),
+            context: await this.fitToBudget(context, 'selectionContext')
+        });
+        return await this.generateText(prompt, {
+            operation: 'explain',
+            temperature: 0.3,
+            maxOutputTokens: 300,
+            ...options
+        });
+    }
+
+    /**
+     * Define a word or phrase in the sense it has on the page
+     * @param {string} text - Selected term
+     * @param {Object} options - { context: text around the selection, ...generation options }
+     * @returns {Promise<string>} Definition
+     */
+    async define(text, { context = '', ...options } = {}) {
+        const prompt = await this.prompts.render('define', {
+            text: await this.fitToBudget(text, 'selection'),
+            context: await this.fitToBudget(context, 'selectionContext')
+        });
+        return await this.generateText(prompt, {
+            operation: 'define',
+            temperature: 0.2,
+            maxOutputTokens: 150,
+            ...options
+        });
+    }
+
+    /**
+     * Rewrite text more clearly in its own language
+     * @param {string} text - Text to rewrite
+     * @returns {Promise<string>} Rewritten text
+     */
+    async rewrite(text, options = {}) {
+        const prompt = await this.prompts.render('rewrite', { text: await this.fitToBudget(text, 'selection') });
+        return await this.generateText(prompt, {
+            operation: 'rewrite',
+            temperature: 0.5,
+            maxOutputTokens: 500,
+            ...options
+        });
+    }
+
+    /**
+     * Answer a follow-up question about a selected passage
+     * @param {string} text - Selected text
+     * @param {string} previous - Conversation so far ("Q: ...\nA: ...")
+     * @param {string} question - Follow-up question
+     * @returns {Promise<string>} Answer
+     */
+    async followUp(text, previous, question, options = {}) {
+        const prompt = await this.prompts.render('followUp', {
+            text: await this.fitToBudget(text, 'selection'),
+            previous: await this.fitToBudget(previous, 'selection'),
+            query: question
+        });
+        return await this.generateText(prompt, { operation: 'followUp', temperature: 0.3, maxOutputTokens: 400, ...options });
+    }
+
+    /**
+     * Generate a JSON value constrained to a schema
+     * Invalid output gets one repair retry with the validation errors fed back
+     * @param {string} prompt - The input prompt
+     * @param {Object} schema - JSON schema the result must match
+     * @param {Object} options - Generation options
+     * @returns {Promise<Object>} Parsed and validated result
+     */
+    async generateJSON(prompt, schema, options = {}) {
+        const jsonOptions = { ...options, responseSchema: schema };
+        const jsonPrompt = await this.prompts.render('jsonInstruction', { prompt, schema: JSON.stringify(schema) });
+
+        let raw = await this.generateText(jsonPrompt, jsonOptions);
+        let errors = this.checkJSON(raw, schema);
+        if (!errors.length) return JsonSchema.parse(raw);
+
+        logger.log('Structured output invalid, retrying with repair prompt:', errors);
+        const repairPrompt = await this.prompts.render('jsonRepair', {
+            prompt: jsonPrompt,
+            previous: raw,
+            errors: errors.join('\n')
+        });
+        
+        raw = await this.generateText(repairPrompt, { ...jsonOptions, temperature: 0 });
+        errors = this.checkJSON(raw, schema);
+        if (!errors.length) return JsonSchema.parse(raw);
+
+        throw new AIErrors.InvalidResponseError(`Invalid structured response: ${errors.join('; ')}`, {
+            provider: this.provider.name
+        });
+    }
+
+    checkJSON(raw, schema) {
+        try {
+            return JsonSchema.validate(JsonSchema.parse(raw), schema);
+        } catch (error) {
+            return [`not valid JSON (${error.message})`];
+        }
+    }
+
     /**
      * Analyze content and extract key information
      * @param {string} text - Text to analyze
      * @param {Object} options - Analysis options
-     * @returns {Promise<string>} Analysis results
+     * @returns {Promise<PageAnalysis>} Analysis results
      */
     async analyze(text, options = {}) {
-        const prompt = `다음 텍스트를 분석하여 다음 정보를 제공해주세요:
-1. 주제/제목
-2. 핵심 내용 (3-5개 포인트)
-3. 감정/톤
-4. 키워드 (5-10개)
-5. 요약
-
-텍스트:\n${text}\n\n분석 결과:`;
+        const prompt = await this.prompts.render('analyze', { text: await this.fitToBudget(text, 'analyze') });
         
-        return await this.generateText(prompt, {
+        return await this.generateJSON(prompt, GeminiClient.schemas.analysis, {
+            operation: 'analyze',
             temperature: 0.4,
             maxOutputTokens: 1000,
             ...options
@@ -218,22 +744,85 @@ class GeminiClient {
      * Extract important sentences from text
      * @param {string} text - Text to analyze
      * @param {Object} options - Extraction options
-     * @returns {Promise<string>} Important sentences
+     * @returns {Promise<ImportantSentences>} Important sentences, most important first
      */
     async extractImportant(text, options = {}) {
-        const prompt = `다음 텍스트에서 가장 중요한 문장들을 찾아서 나열해주세요. 각 문장의 중요도를 설명해주세요:\n\n${text}\n\n중요한 문장들:`;
+        const prompt = await this.prompts.render('extractImportant', {
+            text: await this.fitToBudget(text, 'extractImportant')
+        });
         
-        return await this.generateText(prompt, {
+        const result = await this.generateJSON(prompt, GeminiClient.schemas.importantSentences, {
+            operation: 'extractImportant',
             temperature: 0.2,
             maxOutputTokens: 800,
             ...options
         });
+        result.sentences.sort((a, b) => b.importance - a.importance);
+        return result;
     }
 }
 
+/**
+ * @typedef {Object} PageAnalysis
+ * @property {string} topic - Main topic / title
+ * @property {string[]} topics - Related topics
+ * @property {string[]} keyPoints - 3-5 key points
+ * @property {'positive'|'neutral'|'negative'|'mixed'} sentiment
+ * @property {string} tone - Free-form tone description
+ * @property {string[]} keywords - 5-10 keywords
+ * @property {string} summary
+ * @property {number} confidence - 0-1
+ */
+
+/**
+ * @typedef {Object} ImportantSentences
+ * @property {{text: string, importance: number, reason: string}[]} sentences
+ */
+GeminiClient.schemas = {
+    analysis: {
+        type: 'object',
+        properties: {
+            topic: { type: 'string' },
+            topics: { type: 'array', items: { type: 'string' } },
+            keyPoints: { type: 'array', items: { type: 'string' } },
+            sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative', 'mixed'] },
+            tone: { type: 'string' },
+            keywords: { type: 'array', items: { type: 'string' } },
+            summary: { type: 'string' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 }
+        },
+        required: ['topic', 'topics', 'keyPoints', 'sentiment', 'tone', 'keywords', 'summary', 'confidence']
+    },
+    importantSentences: {
+        type: 'object',
+        properties: {
+            sentences: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string', description: 'Sentence copied verbatim from the text' },
+                        importance: { type: 'number', minimum: 0, maximum: 1 },
+                        reason: { type: 'string' }
+                    },
+                    required: ['text', 'importance', 'reason']
+                }
+            }
+        },
+        required: ['sentences']
+    },
+    translations: {
+        type: 'object',
+        properties: {
+            translations: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['translations']
+    }
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GeminiClient;
 } else {
-    window.GeminiClient = GeminiClient;
+    self.GeminiClient = GeminiClient;
 }
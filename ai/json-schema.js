@@ -0,0 +1,109 @@
+/**
+ * JSON Schema helpers for structured AI output
+ * Supports the subset used by Gemini responseSchema: type, properties,
+ * required, items, enum, minimum, maximum
+ */
+const JsonSchema = {
+    /**
+     * Parse model output as JSON, tolerating ```json fences and surrounding prose
+     * @param {string} text - Raw model output
+     * @returns {*} Parsed value
+     * @throws {SyntaxError} If no JSON value can be found
+     */
+    parse(text) {
+        const trimmed = String(text || '').trim()
+            .replace(/^```(?:json)?\s*/i, '')
+            .replace(/\s*```$/, '');
+
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            // 앞뒤 설명 문장이 붙은 경우 첫 번째 JSON 블록만 추출
+            const match = trimmed.match(/[{[][\s\S]*[}\]]/);
+            if (match) return JSON.parse(match[0]);
+            throw error;
+        }
+    },
+
+    /**
+     * Validate a value against a schema
+     * @param {*} value - Value to check
+     * @param {Object} schema - JSON schema
+     * @param {string} path - Path used in error messages
+     * @returns {string[]} Validation errors (empty when valid)
+     */
+    validate(value, schema, path = '$') {
+        const errors = [];
+
+        if (!this.matchesType(value, schema.type)) {
+            errors.push(`${path}: expected ${schema.type}`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+        }
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`);
+        }
+
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+                if (value[key] !== undefined) {
+                    errors.push(...this.validate(value[key], propSchema, `${path}.${key}`));
+                }
+            });
+        }
+
+        if (schema.type === 'array' && schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...this.validate(item, schema.items, `${path}[${i}]`));
+            });
+        }
+
+        return errors;
+    },
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && !Number.isNaN(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            default: return true;
+        }
+    },
+
+    /**
+     * Convert to the Gemini responseSchema dialect (upper-case types, no min/max)
+     */
+    toGemini(schema) {
+        const converted = { type: schema.type.toUpperCase() };
+        if (schema.description) converted.description = schema.description;
+        if (schema.enum) converted.enum = schema.enum;
+        if (schema.required) converted.required = schema.required;
+        if (schema.items) converted.items = this.toGemini(schema.items);
+        if (schema.properties) {
+            converted.properties = {};
+            Object.entries(schema.properties).forEach(([key, propSchema]) => {
+                converted.properties[key] = this.toGemini(propSchema);
+            });
+        }
+        return converted;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JsonSchema;
+} else {
+    self.JsonSchema = JsonSchema;
+}
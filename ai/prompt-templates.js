@@ -0,0 +1,185 @@
+/**
+ * Prompt Template Registry
+ * Per-locale prompt templates with {{variables}}; the output language and
+ * user overrides come from ConfigService
+ */
+const DEFAULT_PROMPT_TEMPLATES = {
+    summarize: {
+        ko: '다음 텍스트를 {{language}}로 요약해주세요 ({{sentences}}문장):\n\n{{text}}\n\n요약:',
+        en: 'Summarize the following text in {{language}} ({{sentences}} sentences):\n\n{{text}}\n\nSummary:'
+    },
+    summarizeChunk: {
+        ko: '다음은 긴 글의 {{part}}/{{total}} 부분입니다. 핵심 내용을 {{language}}로 {{sentences}}문장으로 요약해주세요:\n\n{{text}}\n\n요약:',
+        en: 'This is part {{part}} of {{total}} of a longer text. Summarize its key points in {{language}} in {{sentences}} sentences:\n\n{{text}}\n\nSummary:'
+    },
+    summarizeMerge: {
+        ko: '다음은 한 글을 부분별로 요약한 내용입니다. 중복을 제거하고 전체 내용을 {{language}}로 요약해주세요 ({{sentences}}문장):\n\n{{summaries}}\n\n요약:',
+        en: 'Below are summaries of consecutive parts of one text. Remove repetition and write one summary of the whole text in {{language}} ({{sentences}} sentences):\n\n{{summaries}}\n\nSummary:'
+    },
+    translate: {
+        ko: '다음 텍스트를 {{targetLanguage}}로 번역해주세요:\n\n{{text}}\n\n번역:',
+        en: 'Translate the following text into {{targetLanguage}}:\n\n{{text}}\n\nTranslation:'
+    },
+    translateSegments: {
+        ko: '다음 JSON 배열의 각 문자열을 {{targetLanguage}}로 번역해주세요. 항목 수와 순서는 그대로 유지하고, 번역하지 않아야 하는 항목(이름, 코드 등)은 원문 그대로 두세요:\n\n{{segments}}',
+        en: 'Translate each string in the following JSON array into {{targetLanguage}}. Keep the number and order of the items, and leave items that should not be translated (names, code) unchanged:\n\n{{segments}}'
+    },
+    search: {
+        ko: '다음 텍스트에서 "{{query}}"와 관련된 정보를 찾아서 {{language}}로 설명해주세요:\n\n텍스트:\n{{text}}\n\n검색어: {{query}}\n\n관련 정보:',
+        en: 'Find information related to "{{query}}" in the following text and explain it in {{language}}:\n\nText:\n{{text}}\n\nQuery: {{query}}\n\nRelevant information:'
+    },
+    ask: {
+        ko: '다음은 웹페이지의 내용입니다:\n\n{{text}}\n\n사용자 질문: {{query}}\n\n위 페이지 내용을 바탕으로 질문에 {{language}}로 답변해주세요.',
+        en: 'Here is the content of a web page:\n\n{{text}}\n\nUser question: {{query}}\n\nAnswer the question in {{language}} based on the page content above.'
+    },
+    explain: {
+        ko: '다음은 웹페이지에서 선택한 부분입니다. 주변 내용을 참고하여 {{language}}로 쉽게 설명해주세요.\n\n주변 내용:\n{{context}}\n\n선택한 부분:\n{{text}}\n\n설명:',
+        en: 'Explain the following passage, selected on a web page, in plain {{language}}. Use the surrounding text for context.\n\nSurrounding text:\n{{context}}\n\nSelected passage:\n{{text}}\n\nExplanation:'
+    },
+    define: {
+        ko: '다음 단어나 표현이 주변 내용에서 어떤 뜻으로 쓰였는지 {{language}}로 간단히 정의해주세요.\n\n주변 내용:\n{{context}}\n\n표현: {{text}}\n\n정의:',
+        en: 'Briefly define the following word or phrase in {{language}}, in the sense it has in the surrounding text.\n\nSurrounding text:\n{{context}}\n\nTerm: {{text}}\n\nDefinition:'
+    },
+    rewrite: {
+        ko: '다음 텍스트를 뜻은 그대로 두고 더 명확하고 읽기 쉽게 다시 써주세요. 원문과 같은 언어로 쓰고 다시 쓴 글만 출력하세요:\n\n{{text}}\n\n다시 쓴 글:',
+        en: 'Rewrite the following text so it is clearer and easier to read without changing its meaning. Keep the language of the original and output only the rewritten text:\n\n{{text}}\n\nRewritten text:'
+    },
+    followUp: {
+        ko: '다음은 웹페이지에서 선택한 부분과 그에 대한 지금까지의 대화입니다.\n\n선택한 부분:\n{{text}}\n\n대화:\n{{previous}}\n\n사용자 질문: {{query}}\n\n{{language}}로 답변해주세요.',
+        en: 'Here is a passage selected on a web page and the conversation about it so far.\n\nSelected passage:\n{{text}}\n\nConversation:\n{{previous}}\n\nUser question: {{query}}\n\nAnswer in {{language}}.'
+    },
+    analyze: {
+        ko: '다음 텍스트를 분석하여 주제, 핵심 내용(3-5개), 감정/톤, 키워드(5-10개), 요약을 {{language}}로 제공해주세요.\n\n텍스트:\n{{text}}',
+        en: 'Analyze the following text and provide, in {{language}}, the topic, 3-5 key points, sentiment/tone, 5-10 keywords and a summary.\n\nText:\n{{text}}'
+    },
+    extractImportant: {
+        ko: '다음 텍스트에서 가장 중요한 문장들(최대 5개)을 찾아주세요. 각 문장은 원문에 나온 그대로 복사하고, 중요도(0-1)와 이유를 {{language}}로 설명해주세요:\n\n{{text}}',
+        en: 'Find the most important sentences (at most 5) in the following text. Copy each sentence exactly as it appears, and give its importance (0-1) and the reason in {{language}}:\n\n{{text}}'
+    },
+    jsonInstruction: {
+        ko: '{{prompt}}\n\n다음 JSON 스키마를 따르는 JSON만 출력하세요:\n{{schema}}',
+        en: '{{prompt}}\n\nOutput only JSON that matches this JSON schema:\n{{schema}}'
+    },
+    jsonRepair: {
+        ko: '{{prompt}}\n\n이전 응답이 스키마와 맞지 않았습니다.\n이전 응답:\n{{previous}}\n\n오류:\n{{errors}}\n\n오류를 수정한 JSON만 다시 출력하세요.',
+        en: '{{prompt}}\n\nThe previous response did not match the schema.\nPrevious response:\n{{previous}}\n\nErrors:\n{{errors}}\n\nOutput only the corrected JSON.'
+    }
+};
+
+// 출력 언어 코드 → 프롬프트에 쓰는 언어 이름 (템플릿 로케일별)
+const OUTPUT_LANGUAGES = {
+    ko: { ko: '한국어', en: 'Korean' },
+    en: { ko: '영어', en: 'English' },
+    ja: { ko: '일본어', en: 'Japanese' },
+    zh: { ko: '중국어', en: 'Chinese' },
+    es: { ko: '스페인어', en: 'Spanish' },
+    fr: { ko: '프랑스어', en: 'French' },
+    de: { ko: '독일어', en: 'German' }
+};
+
+class PromptRegistry {
+    static OVERRIDES_KEY = 'promptTemplates';
+    static LANGUAGE_KEY = 'outputLanguage';
+    static FALLBACK_LOCALE = 'en';
+
+    /**
+     * @param {ConfigService} config - Live settings (defaults to the shared appConfig)
+     */
+    constructor(config = self.appConfig) {
+        this.templates = DEFAULT_PROMPT_TEMPLATES;
+        this.config = config;
+        this.ready = config.ready;
+    }
+
+    // User overrides: { templateId: { locale: template } }
+    get overrides() {
+        return this.config.get(PromptRegistry.OVERRIDES_KEY) || {};
+    }
+
+    get outputLanguage() {
+        return this.config.get(PromptRegistry.LANGUAGE_KEY);
+    }
+
+    /**
+     * Template locale: the output language if templates exist for it, else English
+     */
+    getLocale(language = this.outputLanguage) {
+        return this.templates.summarize[language] ? language : PromptRegistry.FALLBACK_LOCALE;
+    }
+
+    /**
+     * Name of a language as written in prompts of the given locale
+     * @param {string} code - Language code ('ko') or a free-form name ('Korean')
+     */
+    getLanguageName(code, locale = this.getLocale()) {
+        return OUTPUT_LANGUAGES[code]?.[locale] || OUTPUT_LANGUAGES[code]?.en || code;
+    }
+
+    /**
+     * Effective template: user override first, then the built-in one
+     */
+    getTemplate(id, locale = this.getLocale()) {
+        const override = this.overrides[id]?.[locale];
+        if (override) return override;
+
+        const template = this.templates[id];
+        if (!template) {
+            throw new Error(`Unknown prompt template: ${id}`);
+        }
+        return template[locale] || template[PromptRegistry.FALLBACK_LOCALE];
+    }
+
+    /**
+     * Render a template. {{language}} defaults to the output-language setting;
+     * unknown variables are left empty.
+     * @param {string} id - Template id
+     * @param {Object} variables - Template variables
+     * @returns {Promise<string>} Prompt
+     */
+    async render(id, variables = {}) {
+        await this.ready;
+        const locale = this.getLocale();
+        const values = {
+            language: this.getLanguageName(this.outputLanguage, locale),
+            ...variables
+        };
+
+        return this.getTemplate(id, locale).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+            values[name] === undefined ? '' : String(values[name])
+        ));
+    }
+
+    // ==================== USER SETTINGS ====================
+
+    async setOutputLanguage(code) {
+        await this.config.set({ [PromptRegistry.LANGUAGE_KEY]: code });
+    }
+
+    async saveOverride(id, locale, template) {
+        if (!this.templates[id]) {
+            throw new Error(`Unknown prompt template: ${id}`);
+        }
+        const overrides = {
+            ...this.overrides,
+            [id]: { ...this.overrides[id], [locale]: template }
+        };
+        await this.config.set({ [PromptRegistry.OVERRIDES_KEY]: overrides });
+    }
+
+    async resetOverride(id, locale) {
+        const { [locale]: removed, ...rest } = this.overrides[id] || {};
+        await this.config.set({ [PromptRegistry.OVERRIDES_KEY]: { ...this.overrides, [id]: rest } });
+    }
+
+    list() {
+        return Object.keys(this.templates);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PromptRegistry, DEFAULT_PROMPT_TEMPLATES, OUTPUT_LANGUAGES };
+} else {
+    self.PromptRegistry = PromptRegistry;
+    self.OUTPUT_LANGUAGES = OUTPUT_LANGUAGES;
+}
@@ -0,0 +1,361 @@
+/**
+ * LLM Provider Layer
+ * Gemini, OpenAI-compatible and Ollama-style backends behind one interface
+ */
+class LLMProvider {
+    /**
+     * @param {Object} settings - Provider settings
+     * @param {string} settings.apiKey - API key (optional for local servers)
+     * @param {string} settings.baseUrl - Endpoint base URL
+     * @param {string} settings.model - Model name
+     */
+    constructor(settings = {}) {
+        this.apiKey = settings.apiKey || '';
+        this.baseUrl = (settings.baseUrl || this.constructor.defaults.baseUrl).replace(/\/+$/, '');
+        this.model = settings.model || this.constructor.defaults.model;
+    }
+
+    get name() {
+        return this.constructor.id;
+    }
+
+    /**
+     * Response framing used when streaming: 'sse' (data: lines) or 'ndjson'
+     */
+    get streamFormat() {
+        return 'sse';
+    }
+
+    /**
+     * Build the fetch request for a single prompt
+     * @param {string} prompt - The input prompt
+     * @param {Object} config - Generation config (temperature, topK, topP, maxOutputTokens,
+     *                          and responseSchema for JSON output)
+     * @param {Object} request - Request options
+     * @param {boolean} request.stream - Request a streamed response
+     * @returns {{url: string, init: Object}} Fetch arguments
+     */
+    buildRequest(prompt, config, { stream = false } = {}) {
+        return {
+            url: stream ? this.getStreamEndpoint() : this.getEndpoint(),
+            init: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    ...this.getHeaders()
+                },
+                mode: 'cors',
+                credentials: 'omit',
+                body: JSON.stringify(this.buildBody(prompt, config, stream))
+            }
+        };
+    }
+
+    getEndpoint() {
+        throw new Error(`${this.constructor.name} must implement getEndpoint()`);
+    }
+
+    getStreamEndpoint() {
+        return this.getEndpoint();
+    }
+
+    getHeaders() {
+        return {};
+    }
+
+    buildBody(prompt, config, stream = false) {
+        throw new Error(`${this.constructor.name} must implement buildBody()`);
+    }
+
+    /**
+     * Extract generated text from a successful response body
+     * @param {Object} data - Parsed JSON response
+     * @returns {string|null} Generated text, or null if the response has none
+     */
+    parseResponse(data) {
+        throw new Error(`${this.constructor.name} must implement parseResponse()`);
+    }
+
+    /**
+     * Extract the text delta from one streamed event
+     * @param {Object} data - Parsed JSON event
+     * @returns {string|null} Partial text, or null for events without text
+     */
+    parseStreamChunk(data) {
+        return this.parseResponse(data);
+    }
+
+    /**
+     * Parse one line of a streamed response body into its JSON event
+     * @param {string} line - Raw line
+     * @returns {Object|null} Event, or null for keep-alives and control lines
+     */
+    parseStreamEvent(line) {
+        let payload = line.trim();
+        if (!payload) return null;
+
+        if (this.streamFormat === 'sse') {
+            if (!payload.startsWith('data:')) return null;
+            payload = payload.slice(5).trim();
+            if (payload === '[DONE]') return null;
+        }
+
+        try {
+            return JSON.parse(payload);
+        } catch (error) {
+            logger.log('Skipping malformed stream line:', payload);
+            return null;
+        }
+    }
+
+    /**
+     * Reason the provider refused to answer, if it did
+     * @param {Object} data - Parsed response or stream event
+     * @returns {string|null} Block reason, or null if not blocked
+     */
+    getBlockReason(data) {
+        return null;
+    }
+
+    /**
+     * Token usage reported in a response (or final stream event)
+     * @param {Object} data - Parsed response or stream event
+     * @returns {{promptTokens: number, outputTokens: number, totalTokens: number}|null}
+     */
+    parseUsage(data) {
+        return null;
+    }
+
+    /**
+     * Request for the provider's token counting endpoint
+     * @returns {{url: string, init: Object}|null} Fetch arguments, or null if unsupported
+     */
+    buildCountTokensRequest(text) {
+        return null;
+    }
+
+    parseTokenCount(data) {
+        return null;
+    }
+
+    extractErrorMessage(errorData) {
+        return errorData?.error?.message || errorData?.error || 'Unknown error';
+    }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+class GeminiProvider extends LLMProvider {
+    static id = 'gemini';
+    static defaults = {
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta/models',
+        model: 'gemini-2.0-flash'
+    };
+
+    getEndpoint() {
+        return `${this.baseUrl}/${this.model}:generateContent`;
+    }
+
+    getStreamEndpoint() {
+        return `${this.baseUrl}/${this.model}:streamGenerateContent?alt=sse`;
+    }
+
+    // 키를 URL에 넣으면 로그, 히스토리, 프록시에 남으므로 헤더로 전달
+    getHeaders() {
+        return { 'x-goog-api-key': this.apiKey };
+    }
+
+    buildBody(prompt, config) {
+        const { responseSchema, ...generationConfig } = config;
+        if (responseSchema) {
+            generationConfig.responseMimeType = 'application/json';
+            generationConfig.responseSchema = JsonSchema.toGemini(responseSchema);
+        }
+
+        return {
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig
+        };
+    }
+
+    parseResponse(data) {
+        const parts = data?.candidates?.[0]?.content?.parts;
+        return parts && parts[0] ? parts[0].text : null;
+    }
+
+    parseUsage(data) {
+        const usage = data?.usageMetadata;
+        if (!usage) return null;
+        return {
+            promptTokens: usage.promptTokenCount || 0,
+            outputTokens: usage.candidatesTokenCount || 0,
+            totalTokens: usage.totalTokenCount || 0
+        };
+    }
+
+    buildCountTokensRequest(text) {
+        return {
+            url: `${this.baseUrl}/${this.model}:countTokens`,
+            init: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.getHeaders() },
+                mode: 'cors',
+                credentials: 'omit',
+                body: JSON.stringify({ contents: [{ parts: [{ text }] }] })
+            }
+        };
+    }
+
+    parseTokenCount(data) {
+        return data?.totalTokens ?? null;
+    }
+
+    getBlockReason(data) {
+        if (data?.promptFeedback?.blockReason) return data.promptFeedback.blockReason;
+
+        const finishReason = data?.candidates?.[0]?.finishReason;
+        const blocked = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'RECITATION'];
+        return blocked.includes(finishReason) ? finishReason : null;
+    }
+}
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    static id = 'openai';
+    static defaults = {
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini'
+    };
+
+    getEndpoint() {
+        return `${this.baseUrl}/chat/completions`;
+    }
+
+    getHeaders() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+
+    buildBody(prompt, config, stream = false) {
+        return {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: config.temperature,
+            top_p: config.topP,
+            max_tokens: config.maxOutputTokens,
+            // json_schema는 호환 서버마다 지원이 달라 json_object 사용 (스키마는 프롬프트에 포함)
+            ...(config.responseSchema && { response_format: { type: 'json_object' } }),
+            ...(stream && { stream_options: { include_usage: true } }),
+            stream
+        };
+    }
+
+    parseResponse(data) {
+        return data?.choices?.[0]?.message?.content ?? null;
+    }
+
+    parseStreamChunk(data) {
+        return data?.choices?.[0]?.delta?.content ?? null;
+    }
+
+    getBlockReason(data) {
+        return data?.choices?.[0]?.finish_reason === 'content_filter' ? 'content_filter' : null;
+    }
+
+    parseUsage(data) {
+        const usage = data?.usage;
+        if (!usage) return null;
+        return {
+            promptTokens: usage.prompt_tokens || 0,
+            outputTokens: usage.completion_tokens || 0,
+            totalTokens: usage.total_tokens || 0
+        };
+    }
+}
+
+/**
+ * Local Ollama-style server (/api/chat)
+ * Chrome 확장에서 호출하려면 서버에 OLLAMA_ORIGINS=chrome-extension://* 설정 필요
+ */
+class OllamaProvider extends LLMProvider {
+    static id = 'ollama';
+    static defaults = {
+        baseUrl: 'http://localhost:11434',
+        model: 'llama3.2'
+    };
+
+    get streamFormat() {
+        return 'ndjson';
+    }
+
+    getEndpoint() {
+        return `${this.baseUrl}/api/chat`;
+    }
+
+    buildBody(prompt, config, stream = false) {
+        return {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            stream,
+            ...(config.responseSchema && { format: config.responseSchema }),
+            options: {
+                temperature: config.temperature,
+                top_k: config.topK,
+                top_p: config.topP,
+                num_predict: config.maxOutputTokens
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return data?.message?.content ?? null;
+    }
+
+    parseUsage(data) {
+        if (!data?.done) return null;
+        const promptTokens = data.prompt_eval_count || 0;
+        const outputTokens = data.eval_count || 0;
+        return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+    }
+}
+
+const LLMProviders = {
+    registry: {
+        [GeminiProvider.id]: GeminiProvider,
+        [OpenAICompatibleProvider.id]: OpenAICompatibleProvider,
+        [OllamaProvider.id]: OllamaProvider
+    },
+
+    /**
+     * Create a provider instance by id
+     * @param {string} id - 'gemini' | 'openai' | 'ollama'
+     * @param {Object} settings - Provider settings
+     * @returns {LLMProvider} Provider instance
+     */
+    create(id, settings = {}) {
+        const Provider = this.registry[id];
+        if (!Provider) {
+            throw new Error(`Unknown AI provider: ${id}`);
+        }
+        return new Provider(settings);
+    },
+
+    register(Provider) {
+        this.registry[Provider.id] = Provider;
+    },
+
+    list() {
+        return Object.keys(this.registry);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LLMProvider, GeminiProvider, OpenAICompatibleProvider, OllamaProvider, LLMProviders };
+} else {
+    self.LLMProvider = LLMProvider;
+    self.LLMProviders = LLMProviders;
+}
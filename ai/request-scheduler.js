@@ -0,0 +1,232 @@
+/**
+ * Request Scheduler
+ * One queue in the service worker for the AI requests of every tab and window:
+ * at most `maxConcurrent` requests run at once, a token bucket keeps to the
+ * provider's requests-per-minute limit, the foreground tab is served first and
+ * identical in-flight requests share one run. Waiting callers are told their
+ * queue position.
+ */
+class RequestScheduler {
+    // shared()가 모든 호출자에게 전달하는 콜백
+    static SHARED_CALLBACKS = ['onToken', 'onQueue'];
+
+    /**
+     * @param {Object} limits - See setLimits()
+     */
+    constructor(limits = {}) {
+        this.queue = []; // 대기 중인 요청 (도착 순서)
+        this.running = 0;
+        this.inflight = new Map(); // shared() key → 진행 중인 실행
+        this.foregroundTabId = null;
+        this.sequence = 0;
+        this.timer = null;
+        this.tokens = 0;
+        this.refilledAt = Date.now();
+        this.setLimits(limits);
+        this.tokens = this.burst;
+    }
+
+    /**
+     * @param {Object} limits - Scheduling limits
+     * @param {number} limits.maxConcurrent - Requests running at the same time
+     * @param {number} limits.requestsPerMinute - Token bucket refill rate
+     * @param {number} limits.burst - Bucket size: requests allowed back to back
+     */
+    setLimits({ maxConcurrent = 2, requestsPerMinute = 15, burst = Math.min(3, requestsPerMinute) } = {}) {
+        this.refill();
+        this.maxConcurrent = maxConcurrent;
+        this.requestsPerMinute = requestsPerMinute;
+        this.burst = burst;
+        this.tokens = Math.min(this.tokens, burst);
+        this.pump();
+    }
+
+    /**
+     * Requests for this tab, and requests from extension pages (no tab), go first
+     * @param {number|null} tabId - Active tab of the focused window
+     */
+    setForegroundTab(tabId) {
+        this.foregroundTabId = tabId;
+        this.notifyPositions();
+    }
+
+    // ==================== QUEUE ====================
+
+    /**
+     * Wait for a free slot and a token
+     * @param {Object} options - Request options
+     * @param {number} options.tabId - Tab the request is for (null for extension pages)
+     * @param {AbortSignal} options.signal - Leaves the queue
+     * @param {Function} options.onQueue - Called with the queue position while waiting, 0 once started
+     * @returns {Promise<Function>} Call to give the slot back (safe to call twice)
+     * @throws {DOMException} AbortError when the signal aborts while waiting
+     */
+    acquire({ tabId = null, signal, onQueue } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Request aborted', 'AbortError'));
+                return;
+            }
+
+            const entry = { id: ++this.sequence, tabId, signal, onQueue, position: null, resolve };
+            entry.onAbort = () => {
+                this.queue = this.queue.filter(waiting => waiting !== entry);
+                reject(new DOMException('Request aborted', 'AbortError'));
+                this.notifyPositions();
+            };
+            signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+            this.queue.push(entry);
+            this.pump();
+        });
+    }
+
+    /**
+     * Start as many waiting requests as the limits allow, then wait for the next token
+     */
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.refill();
+
+        while (this.queue.length && this.running < this.maxConcurrent && this.tokens >= 1) {
+            const [entry] = this.ordered();
+            this.queue = this.queue.filter(waiting => waiting !== entry);
+            this.tokens -= 1;
+            this.running += 1;
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+            entry.onQueue?.(0);
+            entry.resolve(this.createRelease());
+        }
+        this.notifyPositions();
+
+        // 슬롯은 있는데 토큰이 없으면 다음 토큰이 찰 때 다시 시도
+        if (this.queue.length && this.running < this.maxConcurrent) {
+            const wait = Math.ceil((1 - this.tokens) / this.refillRate);
+            this.timer = setTimeout(() => this.pump(), wait);
+        }
+    }
+
+    createRelease() {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.running -= 1;
+            this.pump();
+        };
+    }
+
+    /**
+     * Waiting requests in the order they will start
+     */
+    ordered() {
+        return [...this.queue].sort((a, b) => this.priority(a) - this.priority(b) || a.id - b.id);
+    }
+
+    priority(entry) {
+        return entry.tabId === null || entry.tabId === this.foregroundTabId ? 0 : 1;
+    }
+
+    notifyPositions() {
+        this.ordered().forEach((entry, index) => {
+            if (entry.position === index + 1) return;
+            entry.position = index + 1;
+            entry.onQueue?.(entry.position);
+        });
+    }
+
+    // ==================== TOKEN BUCKET ====================
+
+    get refillRate() {
+        return this.requestsPerMinute / 60000; // tokens per ms
+    }
+
+    refill() {
+        const now = Date.now();
+        if (this.requestsPerMinute) {
+            this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) * this.refillRate);
+        }
+        this.refilledAt = now;
+    }
+
+    // ==================== DEDUPLICATION ====================
+
+    /**
+     * Run identical requests once. A caller with the same key as a run in flight
+     * gets that run's result, its streamed tokens and its queue position (when
+     * the first caller asked for them). The run is aborted only when every
+     * caller has aborted; the last one then gets whatever the run returns.
+     * @param {string} key - Identity of the request (model, options, prompt)
+     * @param {Function} run - (options) => Promise, called with the first caller's
+     *        options, a shared signal and callbacks that reach every caller
+     * @param {Object} options - { signal, onToken, onQueue, ... }
+     * @returns {Promise<*>} Run result
+     */
+    shared(key, run, options = {}) {
+        const { signal } = options;
+        if (signal?.aborted) {
+            return Promise.reject(new DOMException('Request aborted', 'AbortError'));
+        }
+
+        let entry = this.inflight.get(key);
+        const isNew = !entry;
+        if (isNew) {
+            entry = { controller: new AbortController(), callers: new Set(), last: {}, promise: null };
+            this.inflight.set(key, entry);
+        } else {
+            logger.debug('Joining identical in-flight request');
+        }
+
+        const caller = {};
+        RequestScheduler.SHARED_CALLBACKS.forEach(name => { caller[name] = options[name]; });
+        entry.callers.add(caller);
+        // 늦게 합류한 호출자에게 마지막 상태부터 전달
+        Object.entries(entry.last).forEach(([name, args]) => caller[name]?.(...args));
+
+        if (isNew) {
+            const fanOut = {};
+            RequestScheduler.SHARED_CALLBACKS.filter(name => options[name]).forEach(name => {
+                fanOut[name] = (...args) => {
+                    entry.last[name] = args;
+                    entry.callers.forEach(each => each[name]?.(...args));
+                };
+            });
+            entry.promise = Promise.resolve()
+                .then(() => run({ ...options, ...fanOut, signal: entry.controller.signal }))
+                .finally(() => {
+                    if (this.inflight.get(key) === entry) this.inflight.delete(key);
+                });
+        }
+
+        return new Promise((resolve, reject) => {
+            const leave = () => {
+                signal?.removeEventListener('abort', onAbort);
+                entry.callers.delete(caller);
+            };
+            const onAbort = () => {
+                if (entry.callers.size > 1) {
+                    leave();
+                    reject(new DOMException('Request aborted', 'AbortError'));
+                    return;
+                }
+                // 마지막 호출자: 실행을 멈추고 그 결과(끊긴 스트림 등)를 그대로 받음
+                if (this.inflight.get(key) === entry) this.inflight.delete(key);
+                entry.controller.abort();
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            entry.promise.then(
+                (value) => { leave(); resolve(value); },
+                (error) => { leave(); reject(error); }
+            );
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestScheduler;
+} else {
+    self.RequestScheduler = RequestScheduler;
+}
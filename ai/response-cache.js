@@ -0,0 +1,163 @@
+/**
+ * Response Cache
+ * IndexedDB cache in front of GeminiClient, keyed by URL, content hash,
+ * operation, model and options
+ */
+class ResponseCache {
+    static DB_NAME = 'smart-web-assistant-cache';
+    static STORE = 'responses';
+
+    /**
+     * @param {Object} options - Cache limits
+     * @param {number} options.ttl - Entry lifetime (ms)
+     * @param {number} options.maxEntries - Maximum number of entries
+     * @param {number} options.maxBytes - Maximum total size of cached values
+     */
+    constructor({ ttl = 24 * 60 * 60 * 1000, maxEntries = 200, maxBytes = 5 * 1024 * 1024 } = {}) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.dbPromise = null;
+    }
+
+    // ==================== DATABASE ====================
+
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(ResponseCache.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(ResponseCache.STORE, { keyPath: 'key' });
+                store.createIndex('accessedAt', 'accessedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.dbPromise;
+    }
+
+    async transaction(mode, work) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(ResponseCache.STORE, mode);
+            const result = work(tx.objectStore(ResponseCache.STORE));
+            tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // ==================== KEYS ====================
+
+    /**
+     * Build a cache key
+     * @param {Object} parts - Key parts
+     * @param {string} parts.url - Page URL
+     * @param {string} parts.text - Extracted page text (hashed)
+     * @param {string} parts.operation - summary | translation | search | ...
+     * @param {string} parts.model - Provider and model id
+     * @param {Object} parts.options - Anything else that changes the output (target language, query)
+     * @returns {Promise<string>} Cache key
+     */
+    async buildKey({ url = '', text = '', operation, model, options = {} }) {
+        const textHash = await this.hash(text);
+        const sortedOptions = JSON.stringify(options, Object.keys(options).sort());
+        return this.hash(`${operation}\n${model}\n${url}\n${textHash}\n${sortedOptions}`);
+    }
+
+    async hash(value) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // ==================== READ / WRITE ====================
+
+    /**
+     * @returns {Promise<*>} Cached value, or null on miss / expiry
+     */
+    async get(key) {
+        try {
+            const entry = await this.transaction('readonly', store => store.get(key));
+            if (!entry) return null;
+
+            if (Date.now() - entry.createdAt > this.ttl) {
+                await this.delete(key);
+                return null;
+            }
+
+            entry.accessedAt = Date.now();
+            await this.transaction('readwrite', store => store.put(entry));
+            return entry.value;
+        } catch (error) {
+            logger.log('Response cache read failed:', error.message);
+            return null;
+        }
+    }
+
+    async set(key, value, meta = {}) {
+        try {
+            const now = Date.now();
+            const size = new Blob([JSON.stringify(value)]).size;
+            if (size > this.maxBytes) return;
+
+            await this.transaction('readwrite', store => store.put({
+                key,
+                value,
+                size,
+                createdAt: now,
+                accessedAt: now,
+                ...meta
+            }));
+            await this.prune();
+        } catch (error) {
+            logger.log('Response cache write failed:', error.message);
+        }
+    }
+
+    async delete(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+
+    /**
+     * Drop expired entries, then least recently used ones until within limits
+     */
+    async prune() {
+        const entries = await this.transaction('readonly', store => store.index('accessedAt').getAll());
+        const now = Date.now();
+        const expired = entries.filter(entry => now - entry.createdAt > this.ttl);
+        const live = entries.filter(entry => now - entry.createdAt <= this.ttl);
+
+        let totalBytes = live.reduce((sum, entry) => sum + entry.size, 0);
+        const evicted = [];
+        // accessedAt 오름차순이므로 앞에서부터 제거
+        while (live.length && (live.length > this.maxEntries || totalBytes > this.maxBytes)) {
+            const entry = live.shift();
+            totalBytes -= entry.size;
+            evicted.push(entry);
+        }
+
+        const stale = [...expired, ...evicted];
+        if (stale.length) {
+            await this.transaction('readwrite', store => stale.forEach(entry => store.delete(entry.key)));
+        }
+    }
+
+    async getStats() {
+        const entries = await this.transaction('readonly', store => store.getAll());
+        return {
+            entries: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseCache;
+} else {
+    self.ResponseCache = ResponseCache;
+}
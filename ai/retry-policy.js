@@ -0,0 +1,196 @@
+/**
+ * Retry Policy & Circuit Breaker
+ * Shared by every GeminiClient so all extension pages back off together
+ */
+class RetryPolicy {
+    /**
+     * @param {Object} options - Policy options
+     * @param {number} options.maxAttempts - Total attempts including the first
+     * @param {number} options.baseDelay - First backoff delay (ms)
+     * @param {number} options.maxDelay - Backoff cap (ms)
+     * @param {number} options.maxRetryAfter - Longest server-requested wait we will sit through (ms)
+     */
+    constructor({ maxAttempts = 4, baseDelay = 1000, maxDelay = 16000, maxRetryAfter = 30000 } = {}) {
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.maxRetryAfter = maxRetryAfter;
+    }
+
+    /**
+     * @param {Error} error - Typed error from the failed attempt
+     * @param {number} attempt - 1-based attempt number that failed
+     * @returns {boolean} Whether another attempt should be made
+     */
+    shouldRetry(error, attempt) {
+        if (attempt >= this.maxAttempts) return false;
+        if (error?.name === 'AbortError') return false;
+        // 400/401/403 등은 다시 보내도 성공할 수 없음
+        if (!(error instanceof AIErrors.AIError) || !error.retryable) return false;
+        if (error.retryAfterMs && error.retryAfterMs > this.maxRetryAfter) return false;
+        return true;
+    }
+
+    /**
+     * Delay before the next attempt: Retry-After / RetryInfo if the server sent one,
+     * otherwise exponential backoff with full jitter
+     * @returns {number} Delay in ms
+     */
+    getDelay(error, attempt) {
+        if (error?.retryAfterMs) {
+            return error.retryAfterMs;
+        }
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+}
+
+/**
+ * Circuit breaker whose state lives in chrome.storage.local, so popup, search,
+ * results and background all stop calling a failing provider at the same time
+ */
+class CircuitBreaker {
+    static STORAGE_KEY = 'aiCircuitBreaker';
+
+    /**
+     * @param {Object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive failures before opening
+     * @param {number} options.cooldown - How long the circuit stays open (ms)
+     */
+    constructor({ failureThreshold = 5, cooldown = 60000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldown = cooldown;
+        this.state = {};
+        this.ready = this.load();
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[CircuitBreaker.STORAGE_KEY]) {
+                this.state = changes[CircuitBreaker.STORAGE_KEY].newValue || {};
+            }
+        });
+    }
+
+    async load() {
+        try {
+            const result = await chrome.storage.local.get(CircuitBreaker.STORAGE_KEY);
+            this.state = result[CircuitBreaker.STORAGE_KEY] || {};
+        } catch (error) {
+            logger.log('Circuit breaker state unavailable:', error.message);
+        }
+    }
+
+    async save() {
+        try {
+            await chrome.storage.local.set({ [CircuitBreaker.STORAGE_KEY]: this.state });
+        } catch (error) {
+            logger.log('Failed to persist circuit breaker state:', error.message);
+        }
+    }
+
+    /**
+     * { state: 'closed' | 'open' | 'halfOpen', failures, openedUntil, probeUntil }
+     */
+    getEntry(provider) {
+        const entry = this.state[provider] || {};
+        return {
+            failures: 0,
+            openedUntil: 0,
+            probeUntil: 0,
+            ...entry,
+            // 상태 필드가 없던 예전 저장 값
+            state: entry.state || (entry.openedUntil ? 'open' : 'closed')
+        };
+    }
+
+    async setEntry(provider, entry) {
+        this.state = { ...this.state, [provider]: entry };
+        await this.save();
+    }
+
+    /**
+     * Throw CircuitOpenError while the circuit for this provider is open.
+     * After the cooldown the circuit is half-open: one trial request is let
+     * through and the others are refused until it succeeds or fails (or its
+     * own cooldown passes, in case it never reported back).
+     * @param {string} provider - Provider id
+     */
+    async check(provider) {
+        await this.ready;
+        const entry = this.getEntry(provider);
+        const now = Date.now();
+
+        if (entry.state === 'open' && entry.openedUntil <= now) {
+            logger.log(`Circuit breaker half-open for ${provider}, sending a trial request`);
+            await this.setEntry(provider, { ...entry, state: 'halfOpen', probeUntil: now + this.cooldown });
+            return;
+        }
+
+        const until = entry.state === 'open' ? entry.openedUntil : entry.state === 'halfOpen' ? entry.probeUntil : 0;
+        if (until > now) {
+            throw new AIErrors.CircuitOpenError(`Circuit open for ${provider}`, {
+                provider,
+                retryAfterMs: until - now
+            });
+        }
+        if (entry.state === 'halfOpen') {
+            // 시험 요청이 결과를 남기지 못함 (service worker 종료 등): 다시 시험
+            await this.setEntry(provider, { ...entry, probeUntil: now + this.cooldown });
+        }
+    }
+
+    /**
+     * Close the circuit; after a half-open trial this is the only way back to closed
+     */
+    async recordSuccess(provider) {
+        await this.ready;
+        const entry = this.getEntry(provider);
+        if (entry.state === 'closed' && entry.failures === 0) return;
+
+        if (entry.state !== 'closed') logger.log(`Circuit breaker closed for ${provider}`);
+        await this.setEntry(provider, { state: 'closed', failures: 0, openedUntil: 0, probeUntil: 0 });
+    }
+
+    /**
+     * Count a failure; only transient errors (network, 5xx, 429, timeout) trip the breaker.
+     * A failed half-open trial reopens the circuit for another cooldown.
+     */
+    async recordFailure(provider, error) {
+        await this.ready;
+        const entry = this.getEntry(provider);
+        const transient = error instanceof AIErrors.AIError && error.retryable;
+
+        if (!transient) {
+            // 시험 요청이 서버의 응답을 받았으면 (인증 오류 등) 서비스는 살아 있음
+            if (entry.state === 'halfOpen' && error instanceof AIErrors.AIError && error.status) {
+                await this.recordSuccess(provider);
+            }
+            return;
+        }
+
+        if (entry.state === 'halfOpen') {
+            logger.warn(`Circuit breaker trial failed for ${provider}, reopening`);
+            await this.setEntry(provider, { ...entry, state: 'open', openedUntil: Date.now() + this.cooldown, probeUntil: 0 });
+            return;
+        }
+
+        const failures = entry.failures + 1;
+        if (failures >= this.failureThreshold && entry.state === 'closed') {
+            logger.warn(`Circuit breaker opened for ${provider} (${failures} consecutive failures)`);
+            await this.setEntry(provider, { ...entry, state: 'open', failures, openedUntil: Date.now() + this.cooldown });
+            return;
+        }
+        await this.setEntry(provider, { ...entry, failures });
+    }
+}
+
+const AIRetry = {
+    RetryPolicy,
+    CircuitBreaker
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIRetry;
+} else {
+    self.AIRetry = AIRetry;
+}
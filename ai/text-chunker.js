@@ -0,0 +1,85 @@
+/**
+ * Text Chunker
+ * Splits long page text at paragraph / heading boundaries for map-reduce summarization
+ */
+const TextChunker = {
+    /**
+     * Split text into chunks no longer than maxChars. When that would make more
+     * than maxChunks chunks, the chunks grow instead: no text is ever dropped.
+     * @param {string} text - Text to split (paragraphs separated by newlines)
+     * @param {Object} options - Chunking options
+     * @param {number} options.maxChars - Preferred maximum characters per chunk
+     * @param {number} options.maxChunks - Upper bound on the number of chunks
+     * @param {string[]} options.headings - Heading texts; a chunk prefers to start at one
+     * @returns {string[]} Chunks in document order, covering all of the text
+     */
+    split(text, { maxChars = 2000, maxChunks = 8, headings = [] } = {}) {
+        let size = maxChars;
+        let chunks = this.splitAt(text, size, headings);
+        while (chunks.length > Math.max(1, maxChunks)) {
+            size = Math.max(size + 1, Math.ceil((size * chunks.length) / maxChunks));
+            chunks = this.splitAt(text, size, headings);
+        }
+        return chunks;
+    },
+
+    splitAt(text, maxChars, headings) {
+        if (!text) return [];
+        if (text.length <= maxChars) return [text];
+
+        const headingSet = new Set(headings.map(h => h.trim()).filter(Boolean));
+        const blocks = text.split(/\n+/).map(b => b.trim()).filter(Boolean)
+            .flatMap(block => block.length > maxChars ? this.splitSentences(block, maxChars) : [block]);
+
+        const chunks = [];
+        let current = '';
+
+        blocks.forEach(block => {
+            const isHeading = headingSet.has(block);
+            const wouldOverflow = current.length + block.length + 1 > maxChars;
+            // 제목을 만나면 청크가 절반 이상 찼을 때 새 청크를 시작
+            const headingBreak = isHeading && current.length > maxChars / 2;
+
+            if (current && (wouldOverflow || headingBreak)) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n${block}` : block;
+        });
+
+        if (current) chunks.push(current);
+        return chunks;
+    },
+
+    /**
+     * Split a single oversized paragraph at sentence boundaries
+     */
+    splitSentences(block, maxChars) {
+        const sentences = block.match(/[^.!?。]+[.!?。]*\s*/g) || [block];
+        const parts = [];
+        let current = '';
+
+        sentences.forEach(sentence => {
+            if (current && current.length + sentence.length > maxChars) {
+                parts.push(current.trim());
+                current = '';
+            }
+            // 문장 하나가 너무 긴 경우 강제로 자름
+            while (sentence.length > maxChars) {
+                parts.push(sentence.substring(0, maxChars));
+                sentence = sentence.substring(maxChars);
+            }
+            current += sentence;
+        });
+
+        if (current.trim()) parts.push(current.trim());
+        return parts;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextChunker;
+} else {
+    self.TextChunker = TextChunker;
+}
@@ -0,0 +1,51 @@
+/**
+ * Token Counter
+ * Offline token estimation used when the provider has no countTokens endpoint
+ * (or to avoid spending a request on it)
+ */
+const TokenCounter = {
+    // 영어 등 라틴 문자는 약 4자당 1토큰, 한글/CJK는 약 1.5자당 1토큰
+    LATIN_CHARS_PER_TOKEN: 4,
+    CJK_CHARS_PER_TOKEN: 1.5,
+
+    /**
+     * Estimate the number of tokens in text
+     * @param {string} text - Text to measure
+     * @returns {number} Estimated token count
+     */
+    estimate(text) {
+        if (!text) return 0;
+
+        const cjk = (text.match(/[\u1100-\u11FF\u3040-\u30FF\u3130-\u318F\u3400-\u9FFF\uAC00-\uD7AF]/g) || []).length;
+        const other = text.length - cjk;
+        return Math.ceil(other / this.LATIN_CHARS_PER_TOKEN + cjk / this.CJK_CHARS_PER_TOKEN);
+    },
+
+    /**
+     * Characters of this text that fit in a token budget
+     * @param {string} text - Text whose character/token ratio is used
+     * @param {number} maxTokens - Token budget
+     * @param {number} tokenCount - Known token count of text (defaults to the estimate)
+     * @returns {number} Character budget
+     */
+    charsForTokens(text, maxTokens, tokenCount = this.estimate(text)) {
+        if (!text || tokenCount <= maxTokens) return text ? text.length : 0;
+        return Math.floor(text.length * (maxTokens / tokenCount));
+    },
+
+    /**
+     * Cut text so it fits in a token budget
+     * @returns {string} Text, truncated with '...' if it was over budget
+     */
+    truncate(text, maxTokens, tokenCount = this.estimate(text)) {
+        if (tokenCount <= maxTokens) return text;
+        return text.substring(0, this.charsForTokens(text, maxTokens, tokenCount)) + '...';
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenCounter;
+} else {
+    self.TokenCounter = TokenCounter;
+}
@@ -0,0 +1,114 @@
+/**
+ * Usage Tracker
+ * Per-day, per-model request and token counters (from usageMetadata),
+ * stored in chrome.storage.local and shared by every extension page
+ */
+class UsageTracker {
+    static STORAGE_KEY = 'aiUsage';
+    static RETENTION_DAYS = 30;
+
+    // 동시에 끝난 요청들이 서로의 기록을 덮어쓰지 않도록 이 context의 모든 기록을 순서대로 저장
+    static writes = Promise.resolve();
+
+    /**
+     * @param {Object} limits - Daily limits used for budgeting
+     * @param {number} limits.dailyTokens - Tokens per day
+     * @param {number} limits.dailyRequests - Requests per day (Gemini free tier: 1,500)
+     */
+    constructor({ dailyTokens = 1000000, dailyRequests = 1500 } = {}) {
+        this.dailyTokens = dailyTokens;
+        this.dailyRequests = dailyRequests;
+    }
+
+    today() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+
+    async load() {
+        try {
+            const result = await chrome.storage.local.get(UsageTracker.STORAGE_KEY);
+            return result[UsageTracker.STORAGE_KEY] || {};
+        } catch (error) {
+            logger.log('Usage data unavailable:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Add one request's usage to today's counters
+     * @param {string} modelId - e.g. 'gemini:gemini-2.0-flash'
+     * @param {{promptTokens: number, outputTokens: number, totalTokens: number}} usage
+     */
+    record(modelId, usage = {}) {
+        const write = UsageTracker.writes.then(() => this.write(modelId, usage));
+        UsageTracker.writes = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Read, update and save today's counters (only through record())
+     */
+    async write(modelId, usage) {
+        const data = await this.load();
+        const day = this.today();
+        const models = data[day] || {};
+        const current = models[modelId] || { requests: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+
+        models[modelId] = {
+            requests: current.requests + 1,
+            promptTokens: current.promptTokens + (usage.promptTokens || 0),
+            outputTokens: current.outputTokens + (usage.outputTokens || 0),
+            totalTokens: current.totalTokens + (usage.totalTokens || 0)
+        };
+        data[day] = models;
+
+        try {
+            await chrome.storage.local.set({ [UsageTracker.STORAGE_KEY]: this.prune(data) });
+        } catch (error) {
+            logger.log('Failed to save usage:', error.message);
+        }
+    }
+
+    prune(data) {
+        const days = Object.keys(data).sort();
+        days.slice(0, Math.max(0, days.length - UsageTracker.RETENTION_DAYS)).forEach(day => delete data[day]);
+        return data;
+    }
+
+    /**
+     * Today's usage, total and per model
+     * @returns {Promise<{requests: number, totalTokens: number, models: Object}>}
+     */
+    async getToday() {
+        const data = await this.load();
+        const models = data[this.today()] || {};
+        const totals = Object.values(models).reduce((sum, usage) => ({
+            requests: sum.requests + usage.requests,
+            totalTokens: sum.totalTokens + usage.totalTokens
+        }), { requests: 0, totalTokens: 0 });
+
+        return { ...totals, models };
+    }
+
+    /**
+     * What is left of today's budget
+     * @returns {Promise<{tokens: number, requests: number}>}
+     */
+    async getRemaining() {
+        const usage = await this.getToday();
+        return {
+            tokens: Math.max(0, this.dailyTokens - usage.totalTokens),
+            requests: Math.max(0, this.dailyRequests - usage.requests)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UsageTracker;
+} else {
+    self.UsageTracker = UsageTracker;
+}
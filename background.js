@@ -2,9 +2,27 @@
  * Smart Web Assistant - Refactored Background Service Worker
  * Clean, efficient, and maintainable background processing
  */
+importScripts(
+    'logger.js', 'diagnostics-store.js', 'secret-store.js', 'settings-schema.js', 'config-service.js', 'messaging.js',
+    'ai/errors.js', 'ai/retry-policy.js', 'ai/json-schema.js', 'ai/providers.js', 'ai/text-chunker.js',
+    'ai/token-counter.js', 'ai/usage-tracker.js', 'ai/prompt-templates.js', 'ai/request-scheduler.js',
+    'ai/gemini-client.js', 'ai/response-cache.js', 'job-manager.js'
+);
+
 class BackgroundService {
+    // "repeat-last-action"이 다시 실행할 명령 (service worker 재시작 후에도 유지)
+    static LAST_COMMAND_KEY = 'lastCommand';
+
     constructor() {
         this.isInitialized = false;
+        this.config = self.appConfig;
+        // 모든 탭과 창의 AI 요청이 동시 실행 수와 분당 요청 수 제한을 함께 씀
+        this.scheduler = new RequestScheduler(this.getSchedulerLimits());
+        // 팝업, 검색 창, content script의 AI 요청은 모두 이 클라이언트가 처리
+        this.gemini = new GeminiClient(this.config, self.diagnostics, this.scheduler);
+        this.cache = new ResponseCache();
+        // 창이 닫히거나 service worker가 재시작되어도 이어지는 작업
+        this.jobs = new JobManager((job, stream) => this.runJob(job, stream));
         this.init();
     }
 
@@ -13,8 +31,9 @@ class BackgroundService {
         
         this.setupEventListeners();
         this.setupContextMenus();
+        this.handleWindowFocus();
         this.isInitialized = true;
-        console.log('Smart Web Assistant background service initialized');
+        logger.log('Smart Web Assistant background service initialized');
     }
 
     // ==================== EVENT LISTENERS ====================
@@ -24,15 +43,30 @@ class BackgroundService {
         chrome.runtime.onInstalled.addListener(this.handleInstall.bind(this));
         chrome.runtime.onStartup.addListener(this.handleStartup.bind(this));
         
-        // Message handling
-        chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
+        // Message handling (see messaging.js for the declared actions)
+        Messaging.listen(this.getMessageHandlers());
+        chrome.runtime.onConnect.addListener(port => this.jobs.connect(port));
         
         // Tab events
         chrome.tabs.onUpdated.addListener(this.handleTabUpdate.bind(this));
+        chrome.tabs.onActivated.addListener(({ tabId }) => this.scheduler.setForegroundTab(tabId));
+        chrome.windows.onFocusChanged.addListener(this.handleWindowFocus.bind(this));
+
+        // Scheduler limits follow the settings
+        this.config.subscribe(() => {
+            this.scheduler.setLimits(this.getSchedulerLimits());
+        }, ['requestsPerMinute', 'maxConcurrentRequests']);
+        this.config.ready.then(() => this.scheduler.setLimits(this.getSchedulerLimits()));
+
+        // Keyboard shortcuts (manifest "commands")
+        chrome.commands.onCommand.addListener(this.handleCommand.bind(this));
+
+        // Context menu clicks (the items are recreated by setupContextMenus)
+        chrome.contextMenus?.onClicked.addListener(this.handleContextMenuClick.bind(this));
     }
 
     async handleInstall(details) {
-        console.log('Extension installed:', details.reason);
+        logger.log('Extension installed:', details.reason);
         
         if (details.reason === 'install') {
             await this.setDefaultSettings();
@@ -42,70 +76,169 @@ class BackgroundService {
     }
 
     async handleStartup() {
-        console.log('Extension startup');
+        logger.log('Extension startup');
         await this.setupContextMenus();
+        await this.repairSettings();
     }
 
     // ==================== MESSAGE HANDLING ====================
     
-    async handleMessage(request, sender, sendResponse) {
-        console.log('Background received message:', request);
-        
-        try {
-            const response = await this.processMessage(request, sender);
-            sendResponse(response);
-        } catch (error) {
-            console.error('Background service error:', error);
-            sendResponse({ success: false, error: error.message });
-        }
-    }
+    /**
+     * Background actions; jobs run through the same handlers with a stream
+     * @returns {Object<string, Function>} action → (payload, sender, stream) => result
+     */
+    getMessageHandlers() {
+        const content = (payload, sender) => ({
+            ...payload.content,
+            url: payload.content?.url || payload.url || sender.tab?.url
+        });
+        // AI 요청 옵션: 스케줄러 우선순위용 탭, 대기 순번은 요청한 content script에 알림 (작업은 stream.onQueue)
+        const request = (action, sender, stream = {}) => ({
+            tabId: sender.tab?.id ?? null,
+            onQueue: (position) => this.notifyQueuePosition(sender, action, position),
+            ...stream
+        });
 
-    async processMessage(request, sender) {
-        const handlers = {
-            'getPageInfo': () => this.getPageInfo(sender.tab),
-            'analyzeContent': () => this.analyzeContent(request.content),
-            'generateSummary': () => this.generateSummary(request.content),
-            'translateText': () => this.translateText(request.text, request.targetLang),
-            'searchContent': () => this.searchContent(request.content, request.query),
-            'getSettings': () => this.getSettings(),
-            'updateSettings': () => this.updateSettings(request.settings)
+        return {
+            getPageInfo: (payload, sender) => this.getPageInfo(sender.tab),
+            analyzeContent: (payload, sender, stream = {}) => this.analyzeContent(
+                content(payload, sender),
+                request('analyzeContent', sender, stream)
+            ),
+            generateSummary: (payload, sender, stream = {}) => this.generateSummary(content(payload, sender), {
+                length: payload.length,
+                regenerate: payload.regenerate,
+                ...request('generateSummary', sender, stream)
+            }),
+            translateText: (payload, sender, stream = {}) => this.translateText(
+                payload.text,
+                payload.targetLang,
+                content(payload, sender).url,
+                { regenerate: payload.regenerate, ...request('translateText', sender, stream) }
+            ),
+            translateSegments: (payload, sender, stream = {}) => this.translateSegments(
+                payload.segments,
+                payload.targetLang,
+                content(payload, sender).url,
+                request('translateSegments', sender, stream)
+            ),
+            searchContent: (payload, sender, stream = {}) => this.searchContent(content(payload, sender), payload.query, {
+                regenerate: payload.regenerate,
+                ...request('searchContent', sender, stream)
+            }),
+            askQuestion: (payload, sender, stream = {}) => this.askQuestion(
+                content(payload, sender),
+                payload.query,
+                request('askQuestion', sender, stream)
+            ),
+            extractImportant: (payload, sender, stream = {}) => this.extractImportant(
+                content(payload, sender),
+                request('extractImportant', sender, stream)
+            ),
+            processSelection: (payload, sender, stream = {}) => this.processSelection(payload.operation, payload.text, {
+                context: payload.context,
+                url: content(payload, sender).url,
+                ...request('processSelection', sender, stream)
+            }),
+            askFollowUp: (payload, sender, stream = {}) => this.askFollowUp(payload.text, payload.previous, payload.query, {
+                url: content(payload, sender).url,
+                ...request('askFollowUp', sender, stream)
+            }),
+            openResultsWindow: (payload) => this.openResultsWindow(payload.type, payload.data),
+            getUsage: () => this.getUsage(),
+            getJobs: (payload) => this.jobs.list({ url: payload.url }),
+            cancelJob: (payload) => this.jobs.cancel(payload.jobId),
+            getSettings: () => this.getSettings(),
+            updateSettings: (payload) => this.updateSettings(payload.settings)
         };
+    }
 
-        const handler = handlers[request.action];
+    /**
+     * Run a JobManager job through the message handlers
+     * @returns {Promise<*>} Handler result
+     */
+    async runJob(job, stream) {
+        const handler = this.getMessageHandlers()[job.action];
         if (!handler) {
-            throw new Error('Unknown action');
+            throw new Messaging.MessagingError(`Unknown job action: ${job.action}`, 'unknown_action');
         }
-
-        const data = await handler();
-        return { success: true, data };
+        Messaging.validate(job.action, job.payload);
+        return await handler(job.payload, { tab: job.tab }, stream);
     }
 
     // ==================== TAB MANAGEMENT ====================
     
     async handleTabUpdate(tabId, changeInfo, tab) {
         if (changeInfo.status === 'complete' && tab.url) {
-            console.log('Tab updated:', tab.url);
+            logger.log('Tab updated:', tab.url);
             
             if (this.isValidPage(tab.url)) {
-                console.log('Valid page for AI analysis:', tab.url);
-                await this.injectContentScript(tabId);
+                logger.log('Valid page for AI analysis:', tab.url);
+                await this.injectContentScript(tabId, tab.url);
+                await this.runAutoActions(tab);
             }
         }
     }
 
-    async injectContentScript(tabId) {
+    /**
+     * The scheduler serves the active tab of the focused window first. When the
+     * browser loses focus the last foreground tab keeps its priority.
+     * @param {number} windowId - Newly focused window (omitted: the last focused one)
+     */
+    async handleWindowFocus(windowId) {
+        if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+        try {
+            const query = windowId === undefined ? { lastFocusedWindow: true } : { windowId };
+            const [tab] = await chrome.tabs.query({ active: true, ...query });
+            if (tab) this.scheduler.setForegroundTab(tab.id);
+        } catch (error) {
+            logger.debug('Foreground tab not found:', error.message);
+        }
+    }
+
+    /**
+     * Auto-highlight (autoHighlight setting or site profile) and auto-summarize
+     * (site profile) once a page has loaded
+     */
+    async runAutoActions(tab) {
+        await this.config.ready;
+        const profile = this.config.getSiteProfile(tab.url);
+
+        if (profile?.autoHighlight || this.config.get('autoHighlight')) {
+            // AI 없이 content script의 자체 점수 계산으로 강조, 안내 팝업은 생략
+            await this.triggerHighlight(tab.id, { quiet: true });
+        }
+        if (profile?.autoSummarize && !profile.neverSendToAI) {
+            await this.openSummaryWindow(tab.id);
+        }
+    }
+
+    async injectContentScript(tabId, url, source = 'page load') {
         try {
             await chrome.scripting.executeScript({
                 target: { tabId },
-                files: ['content.js']
+                files: ['logger.js', 'settings-schema.js', 'config-service.js', 'messaging.js', 'content.js']
             });
             
             await chrome.scripting.insertCSS({
                 target: { tabId },
                 files: ['content.css']
             });
+            diagnostics.recordInjection(tabId, { url, success: true, source });
+        } catch (error) {
+            logger.log('Content script injection skipped:', error.message);
+            diagnostics.recordInjection(tabId, { url, success: false, error: error.message, source });
+        }
+    }
+
+    /**
+     * Inject the content script into tabs that were open before the extension loaded
+     */
+    async ensureContentScript(tab, source) {
+        try {
+            await Messaging.sendToTab(tab.id, 'ping', {}, { timeout: 1000 });
         } catch (error) {
-            console.log('Content script injection skipped:', error.message);
+            await this.injectContentScript(tab.id, tab.url, source);
         }
     }
 
@@ -120,7 +253,7 @@ class BackgroundService {
     
     async setupContextMenus() {
         if (!chrome.contextMenus) {
-            console.log('Context menus API not available');
+            logger.log('Context menus API not available');
             return;
         }
 
@@ -131,62 +264,215 @@ class BackgroundService {
                 { id: 'smart-summarize', title: '🤖 Summarize with AI', contexts: ['page'] },
                 { id: 'smart-highlight', title: '✨ Highlight Important Content', contexts: ['page'] },
                 { id: 'smart-translate', title: '🌐 Translate Page', contexts: ['page'] },
-                { id: 'smart-search', title: '🔍 AI Search in Page', contexts: ['selection'] }
+                { id: 'selection-explain', title: '💡 Explain', contexts: ['selection'] },
+                { id: 'selection-summarize', title: '📄 Summarize selection', contexts: ['selection'] },
+                { id: 'selection-translate', title: '🌐 Translate selection', contexts: ['selection'] },
+                { id: 'selection-define', title: '📖 Define', contexts: ['selection'] },
+                { id: 'selection-rewrite', title: '✏️ Rewrite', contexts: ['selection'] }
             ];
 
             menuItems.forEach(item => {
                 chrome.contextMenus.create(item);
             });
-
-            chrome.contextMenus.onClicked.addListener(this.handleContextMenuClick.bind(this));
         } catch (error) {
-            console.error('Context menu setup error:', error);
+            logger.error('Context menu setup error:', error);
         }
     }
 
     async handleContextMenuClick(info, tab) {
-        console.log('Context menu clicked:', info.menuItemId);
+        logger.log('Context menu clicked:', info.menuItemId);
         
         const actions = {
-            'smart-summarize': () => this.triggerSummarize(tab.id),
+            'smart-summarize': () => this.triggerSummarize(tab),
             'smart-highlight': () => this.triggerHighlight(tab.id),
-            'smart-translate': () => this.triggerTranslate(tab.id),
-            'smart-search': () => this.triggerSearch(tab.id, info.selectionText)
+            'smart-translate': () => this.triggerTranslate(tab)
         };
+        Messaging.SELECTION_OPERATIONS.forEach(operation => {
+            actions[`selection-${operation}`] = () => this.triggerSelectionAction(tab, operation, info.selectionText);
+        });
 
         const action = actions[info.menuItemId];
         if (action) {
             try {
                 await action();
             } catch (error) {
-                console.error('Context menu action error:', error);
+                logger.error('Context menu action error:', error);
             }
         }
     }
 
+    // ==================== KEYBOARD SHORTCUTS ====================
+
+    /**
+     * Page actions behind the manifest "commands"; users remap the keys at
+     * chrome://extensions/shortcuts (linked from the settings page)
+     * @returns {Object<string, Function>} command → (tab) => Promise
+     */
+    getCommandActions() {
+        return {
+            'summarize-page': (tab) => this.openSummaryWindow(tab.id),
+            'highlight-page': (tab) => this.triggerHighlight(tab.id),
+            'remove-highlights': (tab) => this.sendMessageToTab(tab.id, 'removeHighlights'),
+            'ask-page': (tab) => this.openSearchWindow(tab),
+            'translate-page': (tab) => this.openTranslationWindow(tab.id)
+        };
+    }
+
+    /**
+     * Run a shortcut on the active tab; "repeat-last-action" runs the previous one again
+     * @param {string} command - Command name from manifest.json
+     * @param {chrome.tabs.Tab} tab - Active tab when the shortcut was pressed
+     */
+    async handleCommand(command, tab) {
+        logger.log('Command:', command);
+
+        try {
+            if (command === 'repeat-last-action') {
+                const stored = await chrome.storage.session.get(BackgroundService.LAST_COMMAND_KEY);
+                command = stored[BackgroundService.LAST_COMMAND_KEY];
+                if (!command) {
+                    logger.log('No shortcut action to repeat yet');
+                    return;
+                }
+            }
+
+            const action = this.getCommandActions()[command];
+            if (!action) return;
+
+            tab = tab || (await chrome.tabs.query({ active: true, lastFocusedWindow: true }))[0];
+            if (!tab?.id || !this.isValidPage(tab.url)) {
+                logger.log('Shortcut ignored on this page:', tab?.url);
+                return;
+            }
+
+            await chrome.storage.session.set({ [BackgroundService.LAST_COMMAND_KEY]: command });
+            await this.ensureContentScript(tab, 'shortcut');
+            await action(tab);
+        } catch (error) {
+            logger.error('Shortcut action error:', error);
+        }
+    }
+
     // ==================== CONTEXT MENU ACTIONS ====================
     
-    async triggerSummarize(tabId) {
-        await this.sendMessageToTab(tabId, { action: 'summarizePage' });
+    /**
+     * In-page summary panel
+     */
+    async triggerSummarize(tab) {
+        await this.ensureContentScript(tab, 'context menu');
+        await this.sendMessageToTab(tab.id, 'summarizePage');
+    }
+
+    async triggerHighlight(tabId, { quiet = false } = {}) {
+        await this.sendMessageToTab(tabId, 'highlightImportantContent', { quiet });
+    }
+
+    /**
+     * In-place page translation; a second click switches back to the original
+     */
+    async triggerTranslate(tab) {
+        await this.ensureContentScript(tab, 'context menu');
+        await this.sendMessageToTab(tab.id, 'translatePage');
+    }
+
+    /**
+     * Show a selection action's result in a bubble next to the selection
+     * @param {chrome.tabs.Tab} tab - Tab with the selection
+     * @param {string} operation - explain | summarize | translate | define | rewrite
+     * @param {string} text - Selected text
+     */
+    async triggerSelectionAction(tab, operation, text) {
+        await this.ensureContentScript(tab, 'context menu');
+        await this.sendMessageToTab(tab.id, 'showSelectionBubble', { operation, text });
+    }
+
+    /**
+     * Extract the tab's content, start a summary job and show it in a results window
+     */
+    async openSummaryWindow(tabId) {
+        await this.openJobWindow(tabId, 'generateSummary', content => ({
+            content: {
+                text: content.text,
+                url: content.url,
+                headings: content.headings.map(heading => heading.text)
+            }
+        }));
+    }
+
+    /**
+     * Same for a translation into the site profile's language (or the output language)
+     */
+    async openTranslationWindow(tabId) {
+        await this.config.ready;
+        await this.openJobWindow(tabId, 'translateText', content => ({
+            text: content.text,
+            url: content.url,
+            targetLang: this.config.getSiteProfile(content.url)?.targetLanguage || undefined
+        }));
     }
 
-    async triggerHighlight(tabId) {
-        await this.sendMessageToTab(tabId, { action: 'highlightImportantContent' });
+    /**
+     * Start a detached job on the tab's content and open a results window attached to it
+     * @param {number} tabId - Tab to read
+     * @param {string} action - generateSummary | translateText
+     * @param {Function} toPayload - Page content → job payload
+     */
+    async openJobWindow(tabId, action, toPayload) {
+        try {
+            const content = await Messaging.sendToTab(tabId, 'getPageContent');
+            if (!content?.text) return;
+
+            const job = await this.jobs.create(action, toPayload(content), {
+                detached: true,
+                stream: true,
+                tab: { id: tabId, url: content.url }
+            });
+            await this.createResultsWindow(`results.html?job=${job.id}`);
+        } catch (error) {
+            logger.error(`Failed to open ${action} window:`, error);
+        }
     }
 
-    async triggerTranslate(tabId) {
-        await this.sendMessageToTab(tabId, { action: 'translatePage' });
+    /**
+     * Results window for data already shown on a page (e.g. a selection bubble)
+     * @param {string} type - Result type understood by results.js (only 'selection' from content scripts)
+     * @param {Object} data - Result data
+     */
+    async openResultsWindow(type, data) {
+        const query = `type=${encodeURIComponent(type)}&data=${encodeURIComponent(JSON.stringify(data))}`;
+        await this.createResultsWindow(`results.html?${query}`);
     }
 
-    async triggerSearch(tabId, query) {
-        await this.sendMessageToTab(tabId, { action: 'searchInPage', query });
+    async createResultsWindow(path) {
+        await chrome.windows.create({
+            url: chrome.runtime.getURL(path),
+            type: 'popup',
+            width: 1000,
+            height: 700,
+            left: 100,
+            top: 100
+        });
     }
 
-    async sendMessageToTab(tabId, message) {
+    /**
+     * Search window (search.html) for asking questions about the tab
+     */
+    async openSearchWindow(tab) {
+        await chrome.windows.create({
+            url: chrome.runtime.getURL(`search.html?tabId=${tab.id}&url=${encodeURIComponent(tab.url)}`),
+            type: 'popup',
+            width: 800,
+            height: 600,
+            left: 100,
+            top: 100
+        });
+    }
+
+    async sendMessageToTab(tabId, action, payload = {}) {
         try {
-            await chrome.tabs.sendMessage(tabId, message);
+            await Messaging.sendToTab(tabId, action, payload);
         } catch (error) {
-            console.error('Failed to send message to tab:', error);
+            logger.error('Failed to send message to tab:', error);
         }
     }
 
@@ -201,102 +487,314 @@ class BackgroundService {
         };
     }
 
-    async analyzeContent(content) {
-        // Simulate AI analysis
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve({
-                    sentiment: 'positive',
-                    topics: ['technology', 'AI', 'web development'],
-                    keyPoints: [
-                        'This page discusses modern web technologies',
-                        'AI integration is becoming more common',
-                        'User experience is a key focus'
-                    ],
-                    confidence: 0.85
-                });
-            }, 1000);
-        });
+    // ==================== AI PROCESSING ====================
+
+    /**
+     * @param {Object} content - { text, url }
+     * @param {Object} options - { signal, tabId, onQueue }
+     * @returns {Promise<PageAnalysis>} Analysis results
+     */
+    async analyzeContent(content, { signal, tabId, onQueue } = {}) {
+        await this.gemini.assertSiteAllowed(content.url);
+        return await this.gemini.analyze(this.requireText(content.text), { signal, tabId, onQueue });
     }
 
-    async generateSummary(content) {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve({
-                    summary: `This page contains information about ${content.title || 'the current topic'}. ` +
-                            `Key points include: ${content.text?.substring(0, 200)}...`,
-                    keyPoints: [
-                        'Main topic discussed',
-                        'Important information highlighted',
-                        'Key takeaways provided'
-                    ],
-                    wordCount: content.text?.length || 0
-                });
-            }, 2000);
+    /**
+     * @param {Object} content - { text, url, headings }
+     * @param {Object} options - { length, regenerate, signal, tabId, onQueue, onToken, onProgress }
+     * @returns {Promise<{summary: string, wordCount: number, cached: boolean}>}
+     */
+    async generateSummary(content, { length, regenerate, signal, tabId, onQueue, onToken, onProgress } = {}) {
+        await this.gemini.assertSiteAllowed(content.url);
+        const text = this.requireText(content.text);
+        const summaryLength = length || this.config.get('summaryLength');
+        const { value: summary, cached } = await this.withCache({
+            operation: 'summary',
+            url: content.url,
+            text,
+            options: { summaryLength },
+            regenerate,
+            signal
+        }, () => this.gemini.summarize(text, {
+            headings: content.headings,
+            length: summaryLength,
+            signal,
+            tabId,
+            onQueue,
+            onToken,
+            onProgress
+        }));
+        return { summary, wordCount: text.split(/\s+/).filter(Boolean).length, cached };
+    }
+
+    /**
+     * @param {string} text - Text to translate
+     * @param {string} targetLang - Language code (defaults to the output-language setting)
+     * @param {string} url - Page the text came from
+     * @returns {Promise<{translatedText: string, targetLanguage: string, cached: boolean}>}
+     */
+    async translateText(text, targetLang = null, url, { regenerate, signal, tabId, onQueue, onToken } = {}) {
+        await this.gemini.assertSiteAllowed(url);
+        this.requireText(text);
+        const { value: translatedText, cached } = await this.withCache({
+            operation: 'translation',
+            url,
+            text,
+            options: { targetLang },
+            regenerate,
+            signal
+        }, () => this.gemini.translate(text, targetLang, { signal, tabId, onQueue, onToken }));
+        return {
+            translatedText,
+            targetLanguage: targetLang || this.config.get('outputLanguage'),
+            cached
+        };
+    }
+
+    /**
+     * Translate a page's text fragments for in-place translation (content script)
+     * @param {string[]} segments - Text fragments, translated in order
+     * @param {string} targetLang - Language code (defaults to the site profile's, then the output language)
+     * @param {string} url - Page the text came from
+     * @returns {Promise<{translations: string[], targetLanguage: string, cached: boolean}>}
+     */
+    async translateSegments(segments, targetLang = null, url, { signal, tabId, onQueue } = {}) {
+        await this.gemini.assertSiteAllowed(url);
+        if (!segments.length || segments.some(segment => typeof segment !== 'string' || !segment.trim())) {
+            throw new Error('No text to process');
+        }
+        const language = targetLang || this.config.getSiteProfile(url)?.targetLanguage || null;
+        // 캐시 항목은 문자열이므로 배열은 JSON으로 저장
+        const { value, cached } = await this.withCache({
+            operation: 'page-translation',
+            url,
+            text: JSON.stringify(segments),
+            options: { targetLang: language },
+            signal
+        }, async () => JSON.stringify(await this.gemini.translateSegments(segments, language, { signal, tabId, onQueue })));
+        return {
+            translations: JSON.parse(value),
+            targetLanguage: language || this.config.get('outputLanguage'),
+            cached
+        };
+    }
+
+    /**
+     * @returns {Promise<{query: string, answer: string, cached: boolean}>}
+     */
+    async searchContent(content, query, { regenerate, signal, tabId, onQueue, onToken } = {}) {
+        await this.gemini.assertSiteAllowed(content.url);
+        const text = this.requireText(content.text);
+        this.requireText(query);
+        const { value: answer, cached } = await this.withCache({
+            operation: 'search',
+            url: content.url,
+            text,
+            options: { query },
+            regenerate,
+            signal
+        }, () => this.gemini.search(text, query, { signal, tabId, onQueue, onToken }));
+        return { query, answer, cached };
+    }
+
+    /**
+     * @returns {Promise<{query: string, answer: string}>}
+     */
+    async askQuestion(content, query, { signal, tabId, onQueue, onToken } = {}) {
+        await this.gemini.assertSiteAllowed(content.url);
+        const answer = await this.gemini.ask(this.requireText(content.text), this.requireText(query), {
+            signal,
+            tabId,
+            onQueue,
+            onToken
         });
+        return { query, answer };
+    }
+
+    /**
+     * @returns {Promise<ImportantSentences>} Important sentences, most important first
+     */
+    async extractImportant(content, { signal, tabId, onQueue } = {}) {
+        await this.gemini.assertSiteAllowed(content.url);
+        return await this.gemini.extractImportant(this.requireText(content.text), { signal, tabId, onQueue });
     }
 
-    async translateText(text, targetLang = 'en') {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve({
-                    originalText: text,
-                    translatedText: `Translated: ${text}`,
-                    sourceLanguage: 'auto',
-                    targetLanguage: targetLang,
-                    confidence: 0.9
-                });
-            }, 1500);
+    /**
+     * Explain, summarize, translate, define or rewrite selected text
+     * @param {string} operation - One of Messaging.SELECTION_OPERATIONS
+     * @param {string} text - Selected text
+     * @param {Object} options - { context: text around the selection, url, signal, tabId, onQueue }
+     * @returns {Promise<{operation: string, answer: string, cached: boolean}>}
+     */
+    async processSelection(operation, text, { context = '', url, signal, tabId, onQueue } = {}) {
+        await this.gemini.assertSiteAllowed(url);
+        this.requireText(text);
+        // 번역은 사이트 프로필의 선호 언어 (없으면 출력 언어)
+        const targetLang = this.config.getSiteProfile(url)?.targetLanguage || null;
+        const scheduling = { signal, tabId, onQueue };
+        const generate = {
+            explain: () => this.gemini.explain(text, { context, ...scheduling }),
+            summarize: () => this.gemini.summarize(text, { length: 'short', ...scheduling }),
+            translate: () => this.gemini.translate(text, targetLang, scheduling),
+            define: () => this.gemini.define(text, { context, ...scheduling }),
+            rewrite: () => this.gemini.rewrite(text, scheduling)
+        }[operation];
+
+        const { value: answer, cached } = await this.withCache({
+            operation: `selection-${operation}`,
+            url,
+            text,
+            options: { context, targetLang },
+            signal
+        }, generate);
+        return { operation, answer, cached };
+    }
+
+    /**
+     * @param {string} previous - Earlier questions and answers about the selection
+     * @returns {Promise<{query: string, answer: string}>}
+     */
+    async askFollowUp(text, previous, query, { url, signal, tabId, onQueue } = {}) {
+        await this.gemini.assertSiteAllowed(url);
+        const answer = await this.gemini.followUp(this.requireText(text), previous, this.requireText(query), {
+            signal,
+            tabId,
+            onQueue
         });
+        return { query, answer };
+    }
+
+    /**
+     * Tell the content script that sent a request where it waits in the scheduler's queue
+     * @param {Object} sender - Message sender (tab, frameId)
+     * @param {string} action - Action the request came from
+     * @param {number} position - 1 = next, 0 = started
+     */
+    notifyQueuePosition(sender, action, position) {
+        if (!sender.tab?.id) return;
+        Messaging.sendToTab(sender.tab.id, 'queuePosition', { action, position }, { frameId: sender.frameId })
+            .catch(error => logger.debug('Queue position not delivered:', error.message));
+    }
+
+    getSchedulerLimits() {
+        return {
+            requestsPerMinute: this.config.get('requestsPerMinute'),
+            maxConcurrent: this.config.get('maxConcurrentRequests')
+        };
     }
 
-    async searchContent(content, query) {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve({
-                    query: query,
-                    results: [{
-                        text: `Found relevant information about "${query}"`,
-                        relevance: 0.9,
-                        position: 0
-                    }],
-                    totalResults: 1
-                });
-            }, 1000);
+    async getUsage() {
+        const tracker = this.gemini.usageTracker;
+        return {
+            ...await tracker.getToday(),
+            dailyRequests: tracker.dailyRequests,
+            dailyTokens: tracker.dailyTokens
+        };
+    }
+
+    /**
+     * Return the cached result for the same page, text, operation, model and
+     * options, or generate and cache it. Results cut short by a cancel are not cached.
+     * @param {Object} request - { operation, url, text, options, regenerate: skip the lookup, signal }
+     * @param {Function} generate - Produces the text when there is no cache entry
+     * @returns {Promise<{value: string, cached: boolean}>}
+     */
+    async withCache({ operation, url, text, options, regenerate, signal }, generate) {
+        await this.gemini.prompts.ready;
+        const key = await this.cache.buildKey({
+            url,
+            text,
+            operation,
+            model: await this.gemini.getModelId(),
+            options: { ...options, language: this.gemini.prompts.outputLanguage }
         });
+
+        const cached = regenerate ? null : await this.cache.get(key);
+        if (cached) return { value: cached, cached: true };
+
+        const value = await generate();
+        if (!signal?.aborted) {
+            await this.cache.set(key, value, { url, operation });
+        }
+        return { value, cached: false };
+    }
+
+    requireText(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('No text to process');
+        }
+        return text;
     }
 
     // ==================== SETTINGS MANAGEMENT ====================
     
     async setDefaultSettings() {
-        const defaultSettings = {
-            autoHighlight: false,
-            summaryLength: 'medium',
-            language: 'en',
-            theme: 'light',
-            version: chrome.runtime.getManifest().version
-        };
+        const { autoHighlight, summaryLength, theme } = SettingsSchema.getDefaults();
+        const defaultSettings = { autoHighlight, summaryLength, outputLanguage: this.getBrowserLanguage(), theme };
+
+        // 다른 기기에서 동기화된 설정이 있으면 유지
+        const stored = await chrome.storage.sync.get(null);
+        const missing = Object.fromEntries(Object.entries(defaultSettings).filter(([key]) => stored[key] === undefined));
+
+        await chrome.storage.sync.set({ ...missing, [SettingsSchema.VERSION_KEY]: SettingsSchema.VERSION });
+        await this.repairSettings();
+        logger.log('Default settings applied');
+    }
 
-        await chrome.storage.sync.set(defaultSettings);
-        console.log('Default settings applied');
+    /**
+     * Browser UI language if prompts support it, else the schema default
+     */
+    getBrowserLanguage() {
+        const field = SettingsSchema.properties.outputLanguage;
+        const code = chrome.i18n.getUILanguage().split('-')[0];
+        return field.enum.includes(code) ? code : field.default;
     }
 
     async handleUpdate(previousVersion) {
-        console.log(`Extension updated from ${previousVersion}`);
+        logger.log(`Extension updated from ${previousVersion}`);
         
-        const settings = await chrome.storage.sync.get();
-        if (!settings.version) {
-            settings.version = chrome.runtime.getManifest().version;
-            await chrome.storage.sync.set(settings);
+        try {
+            await SettingsSchema.migrate({ secrets: new SecretStore() });
+        } catch (error) {
+            logger.error('Settings migration failed:', error);
+        }
+        await this.repairSettings();
+    }
+
+    /**
+     * Rewrite stored settings that do not match the schema (wrong type, out of
+     * range, placeholder values) with a coerced value or the default
+     */
+    async repairSettings() {
+        try {
+            const stored = await chrome.storage.sync.get(null);
+            const { values, repaired } = SettingsSchema.repair(stored);
+            if (repaired.length) {
+                await chrome.storage.sync.set(values);
+                logger.log('Repaired settings:', repaired);
+            }
+        } catch (error) {
+            logger.error('Settings repair failed:', error);
         }
     }
 
     async getSettings() {
-        return await chrome.storage.sync.get();
+        await this.config.ready;
+        // content script도 보낼 수 있는 메시지이므로 API 키는 제외
+        const settings = this.config.getAll();
+        ConfigService.SECRET_KEYS.forEach(key => delete settings[key]);
+        return settings;
     }
 
     async updateSettings(settings) {
-        await chrome.storage.sync.set(settings);
+        const invalid = Object.entries(settings).filter(([key, value]) => {
+            const field = SettingsSchema.properties[key];
+            return !field || field.secret || !SettingsSchema.isValid(value, field);
+        });
+        if (invalid.length) {
+            throw new Error(`Invalid settings: ${invalid.map(([key]) => key).join(', ')}`);
+        }
+        await this.config.set(settings);
     }
 }
 
@@ -0,0 +1,251 @@
+/**
+ * Config Service
+ * Single live view of the extension settings, shared by popup, search, results,
+ * settings, background and content scripts. Settings live in chrome.storage.sync;
+ * API keys live in SecretStore (chrome.storage.local) and are never loaded into
+ * content scripts.
+ */
+
+// content script는 여러 번 주입될 수 있으므로 중복 선언 방지
+if (typeof globalThis.ConfigService === 'undefined') {
+    class ConfigService {
+        // 기본값과 타입은 settings-schema.js에서 선언
+        static DEFAULTS = SettingsSchema.getDefaults();
+
+        // Keys that change which backend GeminiClient talks to, or how
+        static PROVIDER_KEYS = [
+            'AI_PROVIDER',
+            'GEMINI_API_KEY', 'GEMINI_MODEL', 'GEMINI_BASE_URL', 'GEMINI_MAX_TOKENS', 'GEMINI_TEMPERATURE',
+            'OPENAI_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_MODEL',
+            'OLLAMA_BASE_URL', 'OLLAMA_MODEL'
+        ];
+
+        // Stored through SecretStore instead of chrome.storage.sync
+        static SECRET_KEYS = SettingsSchema.getSecretKeys();
+
+        constructor() {
+            this.values = { ...ConfigService.DEFAULTS };
+            this.listeners = new Set();
+            // 웹페이지와 같은 프로세스에서 도는 content script에는 키를 노출하지 않음
+            this.secrets = self.location?.protocol === 'chrome-extension:' ? new SecretStore() : null;
+            this.locked = false;
+            this.ready = this.load();
+
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'sync') {
+                    this.applyChanges(changes);
+                } else if (this.secrets && (changes[SecretStore.KEYS_KEY] || changes[SecretStore.VAULT_KEY] || changes[SecretStore.SESSION_KEY])) {
+                    this.loadSecrets();
+                }
+            });
+        }
+
+        async load() {
+            try {
+                const stored = await chrome.storage.sync.get(Object.keys(ConfigService.DEFAULTS));
+                Object.entries(stored)
+                    .filter(([key]) => !ConfigService.SECRET_KEYS.includes(key))
+                    .forEach(([key, value]) => this.setLocal(key, value));
+                this.applyLogLevel();
+
+                if (this.secrets) {
+                    await this.loadSecrets();
+                }
+            } catch (error) {
+                logger.log('Using default settings:', error.message);
+            }
+        }
+
+        async loadSecrets() {
+            try {
+                const { values, locked } = await this.secrets.readAll();
+                this.locked = locked;
+
+                const changed = {};
+                ConfigService.SECRET_KEYS.forEach(key => {
+                    const value = SettingsSchema.sanitize(key, values[key]);
+                    logger.addSecret(value);
+                    if (this.values[key] !== value) changed[key] = value;
+                    this.values[key] = value;
+                });
+                this.notify(changed);
+            } catch (error) {
+                logger.log('API keys unavailable:', error.message);
+            }
+        }
+
+        // 손상되었거나 예전 형식인 값은 기본값으로 대체 (저장소 복구는 background가 담당)
+        setLocal(key, value) {
+            this.values[key] = SettingsSchema.sanitize(key, value);
+        }
+
+        applyChanges(changes) {
+            const changed = {};
+            Object.entries(changes).forEach(([key, { newValue }]) => {
+                if (!(key in ConfigService.DEFAULTS) || ConfigService.SECRET_KEYS.includes(key)) return;
+                this.setLocal(key, newValue);
+                changed[key] = this.values[key];
+            });
+            if ('DEBUG_MODE' in changed) this.applyLogLevel();
+            this.notify(changed);
+        }
+
+        // DEBUG_MODE가 켜져 있으면 모든 로그, 아니면 경고와 오류만 출력
+        applyLogLevel() {
+            logger.setLevel(this.values.DEBUG_MODE ? 'debug' : 'warn');
+        }
+
+        notify(changed) {
+            if (!Object.keys(changed).length) return;
+
+            this.listeners.forEach(({ listener, keys }) => {
+                if (keys && !keys.some(key => key in changed)) return;
+                try {
+                    listener(changed, this);
+                } catch (error) {
+                    logger.error('Config listener error:', error);
+                }
+            });
+        }
+
+        // ==================== ACCESS ====================
+
+        /**
+         * Current value (the default until load() finishes; await `ready` first)
+         */
+        get(key) {
+            return this.values[key];
+        }
+
+        getAll() {
+            return { ...this.values };
+        }
+
+        /**
+         * Persist settings; every context (this one included) picks them up via onChanged.
+         * API keys go to SecretStore, encrypted if a passphrase is set.
+         * @param {Object} values - Key/value pairs to store
+         * @throws {Error} When saving an API key while encrypted keys are locked
+         */
+        async set(values) {
+            const secrets = {};
+            const settings = {};
+            Object.entries(values).forEach(([key, value]) => {
+                (ConfigService.SECRET_KEYS.includes(key) ? secrets : settings)[key] = value;
+            });
+
+            if (Object.keys(secrets).length) {
+                if (!this.secrets) throw new Error('API keys cannot be changed from this context');
+                await this.secrets.write(secrets);
+                Object.values(secrets).forEach(value => logger.addSecret(value));
+            }
+            Object.entries(settings).forEach(([key, value]) => this.setLocal(key, value));
+            await chrome.storage.sync.set(settings);
+        }
+
+        /**
+         * Call listener(changed, config) whenever settings change in any context
+         * @param {Function} listener - Receives the changed keys and their new values
+         * @param {string[]} keys - Only notify for these keys (all keys if omitted)
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(listener, keys = null) {
+            const entry = { listener, keys };
+            this.listeners.add(entry);
+            return () => this.listeners.delete(entry);
+        }
+
+        // ==================== SITE PROFILES ====================
+
+        /**
+         * Domain a profile is stored under ('https://www.example.com/a' → 'example.com')
+         * @returns {string} Domain, or '' for non-web URLs
+         */
+        static getDomain(url) {
+            try {
+                const { protocol, hostname } = new URL(url);
+                if (protocol !== 'http:' && protocol !== 'https:') return '';
+                return hostname.replace(/^www\./, '');
+            } catch {
+                return '';
+            }
+        }
+
+        /**
+         * Profile for a page: the exact domain first, then parent domains
+         * (news.example.com falls back to example.com)
+         * @param {string} url - Page URL
+         * @returns {Object|null} Profile with its `domain`, or null when none applies
+         */
+        getSiteProfile(url) {
+            const host = ConfigService.getDomain(url);
+            if (!host) return null;
+
+            const profiles = this.get('siteProfiles');
+            const parts = host.split('.');
+            // 최상위 도메인('com')만 남으면 중단, 'localhost'는 그대로 검사
+            for (let i = 0; i < Math.max(1, parts.length - 1); i++) {
+                const domain = parts.slice(i).join('.');
+                if (profiles[domain]) return { domain, ...profiles[domain] };
+            }
+            return null;
+        }
+
+        /**
+         * Whether page content from this URL may be sent to the AI provider
+         */
+        isAIAllowed(url) {
+            return !this.getSiteProfile(url)?.neverSendToAI;
+        }
+
+        async saveSiteProfile(domain, profile) {
+            await this.set({
+                siteProfiles: {
+                    ...this.get('siteProfiles'),
+                    [domain]: SettingsSchema.sanitizeObject(SettingsSchema.siteProfile, profile)
+                }
+            });
+        }
+
+        async deleteSiteProfile(domain) {
+            const { [domain]: removed, ...rest } = this.get('siteProfiles');
+            await this.set({ siteProfiles: rest });
+        }
+
+        // ==================== DERIVED SETTINGS ====================
+
+        /**
+         * Settings for one provider, as accepted by LLMProviders.create()
+         * @param {string} id - Provider id (defaults to the selected one)
+         * @returns {{id: string, apiKey: string, baseUrl: string, model: string}}
+         */
+        getProviderSettings(id = this.get('AI_PROVIDER')) {
+            const prefix = id.toUpperCase();
+            return {
+                id,
+                apiKey: this.get(`${prefix}_API_KEY`) || '',
+                baseUrl: this.get(`${prefix}_BASE_URL`),
+                model: this.get(`${prefix}_MODEL`)
+            };
+        }
+
+        /**
+         * Generation options from the settings page; they apply to every provider
+         */
+        getGenerationConfig() {
+            return {
+                temperature: Number(this.get('GEMINI_TEMPERATURE')),
+                maxOutputTokens: Number(this.get('GEMINI_MAX_TOKENS'))
+            };
+        }
+    }
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ConfigService;
+    } else {
+        // self는 확장 페이지, service worker, content script 모두에서 사용 가능
+        self.ConfigService = ConfigService;
+        self.appConfig = new ConfigService();
+    }
+}
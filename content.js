@@ -6,66 +6,110 @@
 // 중복 선언 방지
 if (typeof window.contentAnalyzer === 'undefined') {
     class ContentAnalyzer {
+        // 사이트 프로필이 없을 때 쓰는 기본 추출 규칙
+        static MAIN_SELECTORS = 'main, article, .content, .post, .entry, .main-content, .page-content';
+        static EXCLUDE_SELECTORS = 'script, style, nav, header, footer, aside, .ad, .advertisement, .sidebar';
+        static MAX_TEXT_CHARS = 15000;
+        // 추출한 텍스트에서 줄을 바꾸는 요소 (innerText의 블록 구분 대신)
+        static BLOCK_TAGS = new Set([
+            'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'H1', 'H2',
+            'H3', 'H4', 'H5', 'H6', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TD', 'TH', 'TR', 'UL'
+        ]);
+
+        // 페이지에 띄우는 UI 색상 (theme 설정)
+        static THEMES = {
+            light: { background: 'white', text: '#333', muted: '#999' },
+            dark: { background: '#1e293b', text: '#e2e8f0', muted: '#94a3b8' }
+        };
+
+        // 선택 영역 말풍선 제목 (Messaging.SELECTION_OPERATIONS)
+        static SELECTION_TITLES = {
+            explain: '💡 Explanation',
+            summarize: '📄 Summary',
+            translate: '🌐 Translation',
+            define: '📖 Definition',
+            rewrite: '✏️ Rewritten'
+        };
+
+        // 설명/정의에 함께 보내는 주변 텍스트 길이
+        static SELECTION_CONTEXT_CHARS = 2000;
+
+        // 페이지 번역: 요청당 텍스트 노드 묶음 크기와 전체 한도 (추출 한도와 같음)
+        static TRANSLATION_BATCH_CHARS = 2000;
+        static TRANSLATION_BATCH_SEGMENTS = 40;
+        static TRANSLATION_MAX_CHARS = 15000;
+        static TRANSLATION_SKIP_SELECTORS = 'script, style, noscript, code, pre, kbd, samp, textarea, [contenteditable=""], [contenteditable="true"], .smart-assistant-ui';
+
         constructor() {
             this.highlightedElements = [];
             this.originalStyles = new Map();
+            this.selectionBubble = null;
+            this.translation = null;
+            // 확장 설정 (config-service.js가 먼저 주입됨)
+            this.config = self.appConfig;
             this.isLoaded = false;
             this.init();
         }
 
         init() {
             if (window.smartWebAssistantLoaded) {
-                console.log('Content script already loaded, skipping...');
+                logger.log('Content script already loaded, skipping...');
                 return;
             }
             
             window.smartWebAssistantLoaded = true;
             this.setupMessageListener();
         this.injectStyles();
+        this.watchTheme();
         this.isLoaded = true;
-        console.log('Smart Web Assistant content analyzer initialized');
+        logger.log('Smart Web Assistant content analyzer initialized');
     }
 
     // ==================== MESSAGE HANDLING ====================
     
     setupMessageListener() {
-        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-            console.log('Content script received message:', request);
-            
-            try {
-                switch (request.action) {
-                    case 'ping':
-                        sendResponse({ status: 'alive' });
-                        break;
-                    
-                    case 'getPageContent':
-                        this.getPageContent().then(content => sendResponse({ content }));
-                        return true;
-                    
-                    case 'highlightImportantContent':
-                        this.highlightImportantContent();
-                        sendResponse({ success: true });
-                        break;
-                    
-                    case 'removeHighlights':
-                        this.removeHighlights();
-                        sendResponse({ success: true });
-                        break;
-                    
-                    case 'searchInPage':
-                        this.searchInPage(request.query).then(results => sendResponse(results));
-                        return true;
-                    
-                    default:
-                        sendResponse({ success: false, error: 'Unknown action' });
-                }
-            } catch (error) {
-                console.error('Content script error:', error);
-                sendResponse({ success: false, error: error.message });
-            }
+        // 선언된 액션과 payload 검증은 messaging.js 참고
+        Messaging.listen({
+            ping: () => ({ status: 'alive' }),
+            getPageContent: () => this.getPageContent(),
+            highlightImportantContent: async (payload) => {
+                const sentences = await this.getImportantSentences(payload);
+                await this.highlightImportantContent(sentences, { showPopup: !payload.quiet });
+            },
+            removeHighlights: () => this.removeHighlights(),
+            // 패널과 번역 막대가 결과를 표시하므로 끝나기를 기다리지 않고 바로 답함
+            summarizePage: () => {
+                this.showSummaryPanel().catch(error => logger.error('Page summary failed:', error));
+            },
+            translatePage: () => {
+                this.toggleTranslation().catch(error => logger.error('Page translation failed:', error));
+            },
+            // 응답을 기다리지 않고 바로 답함 (결과는 말풍선에 표시)
+            showSelectionBubble: (payload) => this.showSelectionBubble(payload.operation, payload.text),
+            queuePosition: (payload) => this.showQueuePosition(payload.action, payload.position)
         });
     }
 
+    /**
+     * A request from this page waits behind other tabs' requests (position 0: it started)
+     * @param {string} action - Action of the waiting request
+     * @param {number} position - Place in the background scheduler's queue
+     */
+    showQueuePosition(action, position) {
+        const waiting = (text) => (position ? `Waiting in queue (#${position})...` : text);
+
+        if (action === 'processSelection' || action === 'askFollowUp') {
+            const answers = this.selectionBubble?.element.querySelectorAll('.smart-assistant-bubble-answer.loading');
+            if (answers?.length) answers[answers.length - 1].textContent = waiting('Thinking...');
+        } else if (action === 'generateSummary') {
+            const text = document.querySelector('#smart-assistant-summary-panel .smart-assistant-summary-text.loading');
+            if (text) text.textContent = waiting('Summarizing...');
+        } else if (action === 'translateSegments' && this.translation) {
+            this.translation.queuePosition = position;
+            this.updateTranslationBar();
+        }
+    }
+
     // ==================== STYLE INJECTION ====================
     
     injectStyles() {
@@ -77,6 +121,17 @@ if (typeof window.contentAnalyzer === 'undefined') {
         document.head.appendChild(style);
     }
 
+    /**
+     * Mark the page with the theme setting so the injected styles can follow it
+     */
+    watchTheme() {
+        const apply = () => {
+            document.documentElement.dataset.smartAssistantTheme = this.config.get('theme');
+        };
+        this.config.ready.then(apply);
+        this.config.subscribe(apply, ['theme']);
+    }
+
     getHighlightStyles() {
         return `
             .smart-assistant-highlight {
@@ -120,16 +175,186 @@ if (typeof window.contentAnalyzer === 'undefined') {
                 0%, 100% { transform: rotate(0deg) scale(1); }
                 50% { transform: rotate(180deg) scale(1.1); }
             }
+
+            [data-smart-assistant-theme="dark"] .smart-assistant-highlight {
+                background: linear-gradient(120deg, #134e4a 0%, #4c1d3d 100%) !important;
+                color: #f1f5f9 !important;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.4) !important;
+            }
+
+            /* 말풍선, 요약 패널, 번역 표시줄 공통 */
+            .smart-assistant-ui {
+                z-index: 2147483647 !important;
+                box-sizing: border-box !important;
+                background: white !important;
+                color: #333 !important;
+                border: 2px solid #667eea !important;
+                border-radius: 12px !important;
+                box-shadow: 0 10px 30px rgba(0,0,0,0.2) !important;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+                font-size: 14px !important;
+                line-height: 1.5 !important;
+                text-align: left !important;
+            }
+
+            .smart-assistant-ui[hidden],
+            .smart-assistant-ui [hidden] {
+                display: none !important;
+            }
+
+            .smart-assistant-ui button {
+                font: inherit !important;
+                font-size: 13px !important;
+                cursor: pointer !important;
+                border: 1px solid #cbd5e0 !important;
+                border-radius: 6px !important;
+                background: #f7fafc !important;
+                color: inherit !important;
+                padding: 4px 10px !important;
+            }
+
+            .smart-assistant-ui .smart-assistant-close {
+                border: none !important;
+                background: none !important;
+                font-size: 18px !important;
+                padding: 0 4px !important;
+                color: #999 !important;
+            }
+
+            .smart-assistant-ui-header {
+                display: flex !important;
+                align-items: center !important;
+                gap: 8px !important;
+                margin-bottom: 8px !important;
+                font-weight: 600 !important;
+                color: #667eea !important;
+            }
+
+            .smart-assistant-ui-title {
+                flex: 1 !important;
+            }
+
+            .smart-assistant-ui-actions {
+                display: flex !important;
+                gap: 6px !important;
+                margin: 10px 0 8px !important;
+            }
+
+            .smart-assistant-ui .loading {
+                color: #999 !important;
+                font-style: italic !important;
+            }
+
+            .smart-assistant-ui .error {
+                color: #e53e3e !important;
+            }
+
+            .smart-assistant-bubble {
+                position: absolute !important;
+                width: 360px !important;
+                max-width: calc(100vw - 16px) !important;
+                padding: 12px !important;
+            }
+
+            .smart-assistant-bubble-thread {
+                max-height: 300px !important;
+                overflow-y: auto !important;
+                white-space: pre-wrap !important;
+            }
+
+            .smart-assistant-bubble-question {
+                margin-top: 8px !important;
+                font-weight: 600 !important;
+            }
+
+            .smart-assistant-bubble-followup {
+                display: flex !important;
+                gap: 6px !important;
+                margin: 0 !important;
+            }
+
+            .smart-assistant-bubble-followup input {
+                flex: 1 !important;
+                min-width: 0 !important;
+                font: inherit !important;
+                font-size: 13px !important;
+                padding: 4px 8px !important;
+                border: 1px solid #cbd5e0 !important;
+                border-radius: 6px !important;
+                background: white !important;
+                color: inherit !important;
+            }
+
+            .smart-assistant-summary-panel {
+                position: fixed !important;
+                top: 20px !important;
+                right: 20px !important;
+                width: 380px !important;
+                max-width: calc(100vw - 40px) !important;
+                max-height: 80vh !important;
+                padding: 16px !important;
+                display: flex !important;
+                flex-direction: column !important;
+            }
+
+            .smart-assistant-summary-text {
+                overflow-y: auto !important;
+                white-space: pre-wrap !important;
+            }
+
+            .smart-assistant-badge {
+                font-size: 12px !important;
+                font-weight: 500 !important;
+                padding: 2px 8px !important;
+                border-radius: 999px !important;
+                background: #eef2ff !important;
+                color: #4c51bf !important;
+            }
+
+            .smart-assistant-translation-bar {
+                position: fixed !important;
+                bottom: 20px !important;
+                right: 20px !important;
+                max-width: calc(100vw - 40px) !important;
+                padding: 6px 8px 6px 14px !important;
+                border-radius: 999px !important;
+                display: flex !important;
+                align-items: center !important;
+                gap: 8px !important;
+            }
+
+            [data-smart-assistant-theme="dark"] .smart-assistant-ui,
+            [data-smart-assistant-theme="dark"] .smart-assistant-bubble-followup input {
+                background: #1e293b !important;
+                color: #e2e8f0 !important;
+            }
+
+            [data-smart-assistant-theme="dark"] .smart-assistant-ui button:not(.smart-assistant-close) {
+                background: #334155 !important;
+                border-color: #475569 !important;
+            }
+
+            [data-smart-assistant-theme="dark"] .smart-assistant-bubble-followup input {
+                border-color: #475569 !important;
+            }
+
+            [data-smart-assistant-theme="dark"] .smart-assistant-badge {
+                background: #312e81 !important;
+                color: #c7d2fe !important;
+            }
         `;
     }
 
     // ==================== CONTENT EXTRACTION ====================
     
     async getPageContent() {
+        await this.config.ready;
+        const profile = this.config.getSiteProfile(window.location.href);
+
         return {
             title: document.title,
             url: window.location.href,
-            text: this.extractTextContent(),
+            text: this.extractTextContent(profile),
             images: this.extractImages(),
             links: this.extractLinks(),
             headings: this.extractHeadings(),
@@ -137,50 +362,76 @@ if (typeof window.contentAnalyzer === 'undefined') {
         };
     }
 
-    extractTextContent() {
-        // 불필요한 요소들 제거
-        const elementsToRemove = document.querySelectorAll('script, style, nav, header, footer, aside, .ad, .advertisement, .sidebar');
-        elementsToRemove.forEach(el => el.remove());
-        
-        // 메인 콘텐츠 영역 찾기
-        const mainContent = document.querySelector('main, article, .content, .post, .entry, .main-content, .page-content') || document.body;
-        
-        // 더 강력한 텍스트 추출
-        let text = '';
-        
-        // 1. innerText 사용 (가장 좋은 방법)
-        if (mainContent.innerText) {
-            text = mainContent.innerText;
-        }
-        // 2. textContent 사용 (대안)
-        else if (mainContent.textContent) {
-            text = mainContent.textContent;
-        }
-        // 3. 모든 텍스트 노드 수집
-        else {
-            const textNodes = [];
-            const walker = document.createTreeWalker(
-                mainContent,
-                NodeFilter.SHOW_TEXT,
-                null,
-                false
-            );
-            let node;
-            while (node = walker.nextNode()) {
-                if (node.textContent.trim()) {
-                    textNodes.push(node.textContent.trim());
-                }
+    /**
+     * Visible text of the main content. The page DOM is only read: excluded
+     * elements are skipped while walking, never removed from the page.
+     * @param {Object|null} profile - Site profile (custom main-content / exclude selectors)
+     */
+    extractTextContent(profile = null) {
+        // 메인 콘텐츠 영역 찾기 (사이트 프로필 선택자 우선)
+        const mainContent = this.querySelectorAllSafe(profile?.mainSelectors)[0]
+            || document.querySelector(ContentAnalyzer.MAIN_SELECTORS)
+            || document.body;
+        const exclude = this.combineSelectors(ContentAnalyzer.EXCLUDE_SELECTORS, profile?.excludeSelectors);
+
+        const walker = document.createTreeWalker(mainContent, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                if (node.nodeType === Node.TEXT_NODE) return NodeFilter.FILTER_ACCEPT;
+                // 제외 요소와 화면에 보이지 않는 요소는 하위 노드까지 건너뜀
+                return node.matches(exclude) || node.checkVisibility?.() === false
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        const parts = [];
+        let length = 0;
+        let node;
+        while (length < ContentAnalyzer.MAX_TEXT_CHARS && (node = walker.nextNode())) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                parts.push(node.nodeValue);
+                length += node.nodeValue.length;
+            } else if (ContentAnalyzer.BLOCK_TAGS.has(node.tagName)) {
+                parts.push('\n');
             }
-            text = textNodes.join(' ');
         }
-        
-        // 텍스트 정리
-        text = text
-            .replace(/\s+/g, ' ')  // 여러 공백을 하나로
-            .replace(/\n\s*\n/g, '\n')  // 빈 줄 제거
+
+        // 텍스트 정리 (문단 구분을 위해 줄바꿈은 유지)
+        const text = parts.join('')
+            .replace(/[^\S\n]+/g, ' ')  // 여러 공백을 하나로
+            .replace(/ ?\n\s*/g, '\n')  // 빈 줄과 줄 앞뒤 공백 제거
             .trim();
-        
-        return text.substring(0, 15000); // 최대 15,000자로 제한
+
+        return text.substring(0, ContentAnalyzer.MAX_TEXT_CHARS);
+    }
+
+    /**
+     * Base selectors plus the site profile's, or only the base ones when the
+     * user-entered part is not a valid selector
+     */
+    combineSelectors(base, custom) {
+        if (!custom?.trim()) return base;
+        try {
+            document.createDocumentFragment().querySelector(custom);
+            return `${base}, ${custom}`;
+        } catch (error) {
+            logger.log('Invalid site profile selector:', custom);
+            return base;
+        }
+    }
+
+    /**
+     * querySelectorAll that tolerates empty or invalid user-entered selectors
+     * @returns {Element[]} Matches (empty when the selector is invalid)
+     */
+    querySelectorAllSafe(selectors) {
+        if (!selectors?.trim()) return [];
+        try {
+            return Array.from(document.querySelectorAll(selectors));
+        } catch (error) {
+            logger.log('Invalid site profile selector:', selectors);
+            return [];
+        }
     }
 
     extractImages() {
@@ -219,14 +470,45 @@ if (typeof window.contentAnalyzer === 'undefined') {
 
     // ==================== HIGHLIGHTING ====================
     
-    async highlightImportantContent() {
+    /**
+     * Highlight important sentences on the page
+     * @param {Array<string|{text: string}>} sentences - AI-selected sentences
+     *        (GeminiClient.extractImportant() result); falls back to local scoring
+     * @param {Object} options - { showPopup: show the "page analyzed" notice }
+     */
+    async highlightImportantContent(sentences, { showPopup = true } = {}) {
         this.removeHighlights();
         
         const content = await this.getPageContent();
-        const importantSentences = this.findImportantSentences(content.text);
+        const importantSentences = sentences?.length
+            ? sentences.map(sentence => (typeof sentence === 'string' ? sentence : sentence.text).trim())
+            : this.findImportantSentences(content.text);
         
         this.highlightSentences(importantSentences);
-        this.showSummaryPopup(content);
+        if (showPopup) this.showSummaryPopup(content);
+    }
+
+    /**
+     * Sentences sent with the request (popup), or picked by the background's AI
+     * for context-menu requests; empty means local scoring
+     */
+    async getImportantSentences({ sentences, quiet }) {
+        // 자동 강조(quiet)는 AI 요청 없이 자체 점수 계산만 사용
+        if (sentences || quiet) return sentences;
+
+        await this.config.ready;
+        if (!this.config.isAIAllowed(window.location.href)) return [];
+
+        try {
+            const content = await this.getPageContent();
+            const result = await Messaging.send('extractImportant', {
+                content: { text: content.text, url: content.url }
+            });
+            return result.sentences;
+        } catch (error) {
+            logger.log('AI sentence extraction failed, using local scoring:', error.message);
+            return [];
+        }
     }
 
     findImportantSentences(text) {
@@ -329,34 +611,473 @@ if (typeof window.contentAnalyzer === 'undefined') {
         if (popup) popup.remove();
     }
 
-    // ==================== SEARCH ====================
-    
-    async searchInPage(query) {
-        const content = await this.getPageContent();
-        const results = [];
-        
-        const textContent = content.text.toLowerCase();
-        const queryLower = query.toLowerCase();
-        
-        if (textContent.includes(queryLower)) {
-            results.push({
-                type: 'text',
-                content: `Found "${query}" in page content`,
-                relevance: 1
+    // ==================== SELECTION BUBBLE ====================
+
+    /**
+     * Run a selection action and show the result in a bubble anchored to the
+     * selection, with copy, open-in-window and follow-up questions
+     * @param {string} operation - explain | summarize | translate | define | rewrite
+     * @param {string} text - Selected text (from the context menu)
+     */
+    showSelectionBubble(operation, text) {
+        this.closeSelectionBubble();
+
+        const range = this.getSelectionRange();
+        const state = {
+            operation,
+            text,
+            context: this.getSelectionContext(range),
+            thread: [], // [{ question, answer }], 첫 답변은 question이 null
+            element: null,
+            onKeyDown: (e) => {
+                if (e.key === 'Escape') this.closeSelectionBubble();
+            }
+        };
+        state.element = this.createSelectionBubble(state);
+        document.body.appendChild(state.element);
+        this.positionBubble(state.element, range);
+        document.addEventListener('keydown', state.onKeyDown);
+        this.selectionBubble = state;
+
+        this.runBubbleRequest(state, null, () => Messaging.send('processSelection', {
+            operation,
+            text,
+            context: state.context,
+            url: window.location.href
+        }));
+    }
+
+    closeSelectionBubble() {
+        if (!this.selectionBubble) return;
+        document.removeEventListener('keydown', this.selectionBubble.onKeyDown);
+        this.selectionBubble.element.remove();
+        this.selectionBubble = null;
+    }
+
+    getSelectionRange() {
+        const selection = window.getSelection();
+        return selection?.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+    }
+
+    /**
+     * Text of the block around the selection, so "define" and "explain" know the sense it is used in
+     */
+    getSelectionContext(range) {
+        const node = range?.commonAncestorContainer;
+        const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+        const block = element?.closest('p, li, td, blockquote, section, article') || element;
+        return (block?.innerText || '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, ContentAnalyzer.SELECTION_CONTEXT_CHARS);
+    }
+
+    createSelectionBubble(state) {
+        const bubble = document.createElement('div');
+        bubble.id = 'smart-assistant-bubble';
+        bubble.className = 'smart-assistant-ui smart-assistant-bubble';
+        bubble.innerHTML = `
+            <div class="smart-assistant-ui-header">
+                <span class="smart-assistant-ui-title"></span>
+                <button type="button" class="smart-assistant-close" title="Close">×</button>
+            </div>
+            <div class="smart-assistant-bubble-thread"></div>
+            <div class="smart-assistant-ui-actions">
+                <button type="button" data-action="copy">📋 Copy</button>
+                <button type="button" data-action="expand">⤢ Open in window</button>
+            </div>
+            <form class="smart-assistant-bubble-followup">
+                <input type="text" placeholder="Ask a follow-up question...">
+                <button type="submit">Ask</button>
+            </form>
+        `;
+        bubble.querySelector('.smart-assistant-ui-title').textContent = ContentAnalyzer.SELECTION_TITLES[state.operation];
+
+        bubble.querySelector('.smart-assistant-close').addEventListener('click', () => this.closeSelectionBubble());
+        bubble.querySelector('[data-action="copy"]').addEventListener('click', (e) => this.copyBubbleAnswer(state, e.currentTarget));
+        bubble.querySelector('[data-action="expand"]').addEventListener('click', () => this.expandSelectionBubble(state));
+        bubble.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = e.currentTarget.querySelector('input');
+            const query = input.value.trim();
+            if (!query) return;
+            input.value = '';
+            this.askBubbleFollowUp(state, query);
+        });
+        // 페이지의 단축키가 입력을 가로채지 않도록
+        bubble.addEventListener('keydown', (e) => e.stopPropagation());
+
+        return bubble;
+    }
+
+    /**
+     * Place the bubble under the selection (above it when there is no room below),
+     * in page coordinates so it scrolls with the text
+     */
+    positionBubble(bubble, range) {
+        const margin = 8;
+        const rect = range?.getBoundingClientRect();
+        let top = 20;
+        let left = window.innerWidth - bubble.offsetWidth - 20;
+
+        if (rect && (rect.width || rect.height)) {
+            const fitsBelow = rect.bottom + margin + bubble.offsetHeight <= window.innerHeight;
+            top = fitsBelow || rect.top < bubble.offsetHeight + margin
+                ? rect.bottom + margin
+                : rect.top - bubble.offsetHeight - margin;
+            left = Math.min(Math.max(margin, rect.left), window.innerWidth - bubble.offsetWidth - margin);
+        }
+
+        bubble.style.setProperty('top', `${top + window.scrollY}px`, 'important');
+        bubble.style.setProperty('left', `${Math.max(margin, left) + window.scrollX}px`, 'important');
+    }
+
+    /**
+     * Add a thread entry, show "Thinking..." until the request answers
+     * @param {Object} state - Bubble state
+     * @param {string|null} question - Follow-up question (null for the first answer)
+     * @param {Function} request - Resolves with { answer }
+     */
+    async runBubbleRequest(state, question, request) {
+        const item = document.createElement('div');
+        item.className = 'smart-assistant-bubble-entry';
+        if (question) {
+            const questionElement = document.createElement('div');
+            questionElement.className = 'smart-assistant-bubble-question';
+            questionElement.textContent = question;
+            item.appendChild(questionElement);
+        }
+        const answerElement = document.createElement('div');
+        answerElement.className = 'smart-assistant-bubble-answer loading';
+        answerElement.textContent = 'Thinking...';
+        item.appendChild(answerElement);
+        state.element.querySelector('.smart-assistant-bubble-thread').appendChild(item);
+
+        const controls = state.element.querySelectorAll('.smart-assistant-bubble-followup input, .smart-assistant-bubble-followup button');
+        controls.forEach(control => { control.disabled = true; });
+
+        try {
+            const { answer } = await request();
+            state.thread.push({ question, answer });
+            answerElement.textContent = answer;
+            answerElement.classList.remove('loading');
+        } catch (error) {
+            logger.error('Selection action failed:', error);
+            answerElement.textContent = `❌ ${error.message}`;
+            answerElement.classList.replace('loading', 'error');
+        } finally {
+            controls.forEach(control => { control.disabled = false; });
+        }
+    }
+
+    askBubbleFollowUp(state, query) {
+        const previous = state.thread
+            .map(({ question, answer }) => (question ? `Q: ${question}\nA: ${answer}` : `A: ${answer}`))
+            .join('\n\n');
+
+        this.runBubbleRequest(state, query, () => Messaging.send('askFollowUp', {
+            text: state.text,
+            previous,
+            query,
+            url: window.location.href
+        }));
+    }
+
+    async copyBubbleAnswer(state, button) {
+        const answer = state.thread[state.thread.length - 1]?.answer;
+        if (answer) await this.copyText(answer, button);
+    }
+
+    /**
+     * Copy text and confirm on the button for a moment
+     */
+    async copyText(text, button) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            // http 페이지에서는 clipboard API를 쓸 수 없음
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            document.body.appendChild(textarea);
+            textarea.select();
+            document.execCommand('copy');
+            textarea.remove();
+        }
+        const label = button.textContent;
+        button.textContent = '✅ Copied';
+        setTimeout(() => { button.textContent = label; }, 1500);
+    }
+
+    // ==================== SUMMARY PANEL ====================
+
+    /**
+     * Summarize the page in the background and show the result in a panel on the page
+     * @param {Object} options - { regenerate: bypass the cached summary }
+     */
+    async showSummaryPanel({ regenerate = false } = {}) {
+        document.getElementById('smart-assistant-summary-panel')?.remove();
+        const panel = this.createSummaryPanel();
+        const text = panel.querySelector('.smart-assistant-summary-text');
+
+        try {
+            // 패널 글자가 요약할 본문에 섞이지 않도록 본문을 읽은 뒤에 패널을 붙임
+            const content = await this.getPageContent();
+            document.body.appendChild(panel);
+            const result = await Messaging.send('generateSummary', {
+                content: {
+                    text: content.text,
+                    url: content.url,
+                    headings: content.headings.map(heading => heading.text)
+                },
+                regenerate
             });
+            text.textContent = result.summary;
+            text.classList.remove('loading');
+            panel.querySelector('.smart-assistant-badge').hidden = !result.cached;
+            panel.querySelector('[data-action="copy"]').disabled = false;
+        } catch (error) {
+            logger.error('Page summary failed:', error);
+            if (!panel.isConnected) document.body.appendChild(panel);
+            text.textContent = `❌ ${error.message}`;
+            text.classList.replace('loading', 'error');
+        } finally {
+            panel.querySelector('[data-action="regenerate"]').disabled = false;
         }
-        
-        content.headings.forEach(heading => {
-            if (heading.text.toLowerCase().includes(queryLower)) {
-                results.push({
-                    type: 'heading',
-                    content: heading.text,
-                    relevance: 2
+    }
+
+    createSummaryPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'smart-assistant-summary-panel';
+        panel.className = 'smart-assistant-ui smart-assistant-summary-panel';
+        panel.innerHTML = `
+            <div class="smart-assistant-ui-header">
+                <span class="smart-assistant-ui-title">📄 Page Summary</span>
+                <span class="smart-assistant-badge" hidden>⚡ Cached</span>
+                <button type="button" class="smart-assistant-close" title="Close">×</button>
+            </div>
+            <div class="smart-assistant-summary-text loading">Summarizing...</div>
+            <div class="smart-assistant-ui-actions">
+                <button type="button" data-action="copy" disabled>📋 Copy</button>
+                <button type="button" data-action="regenerate" disabled>🔄 Regenerate</button>
+            </div>
+        `;
+
+        panel.querySelector('.smart-assistant-close').addEventListener('click', () => panel.remove());
+        panel.querySelector('[data-action="copy"]').addEventListener('click', (e) => (
+            this.copyText(panel.querySelector('.smart-assistant-summary-text').textContent, e.currentTarget)
+        ));
+        panel.querySelector('[data-action="regenerate"]').addEventListener('click', () => (
+            this.showSummaryPanel({ regenerate: true })
+        ));
+        return panel;
+    }
+
+    // ==================== PAGE TRANSLATION ====================
+
+    /**
+     * Translate the page in place; when it is already translated, switch
+     * between the translation and the original text
+     */
+    async toggleTranslation() {
+        if (!this.translation) {
+            this.translation = {
+                segments: await this.collectTranslationSegments(),
+                showing: true,
+                running: false,
+                queuePosition: 0,
+                language: null,
+                error: null,
+                bar: this.createTranslationBar()
+            };
+            document.body.appendChild(this.translation.bar);
+        } else {
+            this.translation.showing = !this.translation.showing;
+        }
+
+        this.applyTranslation();
+        this.updateTranslationBar();
+        if (this.translation.showing) this.runTranslation();
+    }
+
+    /**
+     * Text nodes of the main content (site profile selectors first), up to
+     * TRANSLATION_MAX_CHARS. Only node values change, so links, listeners and
+     * layout stay intact.
+     * @returns {Promise<Array<{node: Text, original: string, text: string,
+     *          leading: string, trailing: string, translated: string|null}>>}
+     */
+    async collectTranslationSegments() {
+        await this.config.ready;
+        const profile = this.config.getSiteProfile(window.location.href);
+        const root = this.querySelectorAllSafe(profile?.mainSelectors)[0]
+            || document.querySelector(ContentAnalyzer.MAIN_SELECTORS)
+            || document.body;
+        const skip = [ContentAnalyzer.TRANSLATION_SKIP_SELECTORS, ContentAnalyzer.EXCLUDE_SELECTORS, profile?.excludeSelectors]
+            .filter(Boolean)
+            .join(', ');
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                if (!/\p{L}/u.test(node.nodeValue)) return NodeFilter.FILTER_REJECT;
+                try {
+                    return node.parentElement?.closest(skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+                } catch (error) {
+                    // 사이트 프로필의 잘못된 선택자
+                    return node.parentElement?.closest(ContentAnalyzer.TRANSLATION_SKIP_SELECTORS)
+                        ? NodeFilter.FILTER_REJECT
+                        : NodeFilter.FILTER_ACCEPT;
+                }
+            }
+        });
+
+        const segments = [];
+        let chars = 0;
+        let node;
+        while (chars < ContentAnalyzer.TRANSLATION_MAX_CHARS && (node = walker.nextNode())) {
+            const original = node.nodeValue;
+            const text = original.trim();
+            segments.push({
+                node,
+                original,
+                text,
+                leading: original.match(/^\s*/)[0],
+                trailing: original.match(/\s*$/)[0],
+                translated: null
+            });
+            chars += text.length;
+        }
+        return segments;
+    }
+
+    /**
+     * Translate the segments that have no translation yet, batch by batch,
+     * showing each batch as soon as it arrives. Stops while the original is shown.
+     */
+    async runTranslation() {
+        const translation = this.translation;
+        if (!translation || translation.running) return;
+        translation.running = true;
+        translation.error = null;
+        this.updateTranslationBar();
+
+        try {
+            let batch = this.nextTranslationBatch(translation);
+            while (batch.length && translation.showing && this.translation === translation) {
+                const result = await Messaging.send('translateSegments', {
+                    segments: batch.map(segment => segment.text),
+                    url: window.location.href
+                });
+                batch.forEach((segment, i) => {
+                    segment.translated = `${segment.leading}${result.translations[i]}${segment.trailing}`;
                 });
+                translation.language = result.targetLanguage;
+                this.applyTranslation();
+                this.updateTranslationBar();
+                batch = this.nextTranslationBatch(translation);
             }
+        } catch (error) {
+            logger.error('Page translation failed:', error);
+            translation.error = error.message;
+        } finally {
+            translation.running = false;
+            translation.queuePosition = 0;
+            this.updateTranslationBar();
+        }
+    }
+
+    nextTranslationBatch(translation) {
+        const batch = [];
+        let chars = 0;
+        for (const segment of translation.segments) {
+            if (segment.translated !== null) continue;
+            if (batch.length >= ContentAnalyzer.TRANSLATION_BATCH_SEGMENTS) break;
+            if (batch.length && chars + segment.text.length > ContentAnalyzer.TRANSLATION_BATCH_CHARS) break;
+            batch.push(segment);
+            chars += segment.text.length;
+        }
+        return batch;
+    }
+
+    /**
+     * Put the translated or the original text into every node translated so far
+     */
+    applyTranslation() {
+        const { segments, showing } = this.translation;
+        segments.forEach(segment => {
+            if (segment.translated === null) return;
+            segment.node.nodeValue = showing ? segment.translated : segment.original;
         });
-        
-        return results;
+    }
+
+    /**
+     * Restore the original text and remove the translation bar
+     */
+    closeTranslation() {
+        if (!this.translation) return;
+        this.translation.showing = false;
+        this.applyTranslation();
+        this.translation.bar.remove();
+        this.translation = null;
+    }
+
+    createTranslationBar() {
+        const bar = document.createElement('div');
+        bar.id = 'smart-assistant-translation-bar';
+        bar.className = 'smart-assistant-ui smart-assistant-translation-bar';
+        bar.innerHTML = `
+            <span class="smart-assistant-translation-status"></span>
+            <button type="button" data-action="toggle"></button>
+            <button type="button" data-action="retry" hidden>🔄 Retry</button>
+            <button type="button" class="smart-assistant-close" title="Restore the original and close">×</button>
+        `;
+
+        bar.querySelector('[data-action="toggle"]').addEventListener('click', () => this.toggleTranslation());
+        bar.querySelector('[data-action="retry"]').addEventListener('click', () => this.runTranslation());
+        bar.querySelector('.smart-assistant-close').addEventListener('click', () => this.closeTranslation());
+        return bar;
+    }
+
+    updateTranslationBar() {
+        const { segments, showing, running, queuePosition, language, error, bar } = this.translation || {};
+        if (!bar) return;
+
+        const done = segments.filter(segment => segment.translated !== null).length;
+        const status = bar.querySelector('.smart-assistant-translation-status');
+        status.classList.toggle('error', Boolean(error));
+
+        if (!segments.length) {
+            status.textContent = '🌐 No text to translate';
+        } else if (error) {
+            status.textContent = `❌ ${error}`;
+        } else if (!showing) {
+            status.textContent = '🌐 Original';
+        } else if (running && queuePosition) {
+            status.textContent = `🌐 Waiting in queue (#${queuePosition})...`;
+        } else if (running || done < segments.length) {
+            status.textContent = `🌐 Translating... ${Math.round((done / segments.length) * 100)}%`;
+        } else {
+            status.textContent = `🌐 Translated${language ? ` (${language})` : ''}`;
+        }
+
+        const toggle = bar.querySelector('[data-action="toggle"]');
+        toggle.textContent = showing ? 'Show original' : 'Show translation';
+        toggle.hidden = !segments.length;
+        bar.querySelector('[data-action="retry"]').hidden = !error || !showing;
+    }
+
+    async expandSelectionBubble(state) {
+        try {
+            await Messaging.send('openResultsWindow', {
+                type: 'selection',
+                data: {
+                    title: ContentAnalyzer.SELECTION_TITLES[state.operation],
+                    text: state.text,
+                    thread: state.thread
+                }
+            });
+        } catch (error) {
+            logger.error('Failed to open results window:', error);
+        }
     }
 
     // ==================== UI POPUP ====================
@@ -378,13 +1099,14 @@ if (typeof window.contentAnalyzer === 'undefined') {
     }
 
     createSummaryPopup() {
+        const colors = ContentAnalyzer.THEMES[this.config.get('theme')] || ContentAnalyzer.THEMES.light;
         const popup = document.createElement('div');
         popup.id = 'smart-assistant-summary';
         popup.style.cssText = `
             position: fixed !important;
             top: 20px !important;
             right: 20px !important;
-            background: white !important;
+            background: ${colors.background} !important;
             border: 2px solid #667eea !important;
             border-radius: 12px !important;
             padding: 16px !important;
@@ -398,9 +1120,9 @@ if (typeof window.contentAnalyzer === 'undefined') {
         `;
         
         popup.innerHTML = `
-            <button onclick="this.parentElement.remove()" style="position: absolute; top: 8px; right: 8px; background: none; border: none; font-size: 18px; cursor: pointer; color: #999;">×</button>
+            <button onclick="this.parentElement.remove()" style="position: absolute; top: 8px; right: 8px; background: none; border: none; font-size: 18px; cursor: pointer; color: ${colors.muted};">×</button>
             <h3 style="margin: 0 0 8px 0; color: #667eea; font-size: 16px;">📄 Page Summary</h3>
-            <p style="margin: 0; color: #333;">This page has been analyzed and important content has been highlighted. Key information is marked with sparkles (✨) for easy identification.</p>
+            <p style="margin: 0; color: ${colors.text};">This page has been analyzed and important content has been highlighted. Key information is marked with sparkles (✨) for easy identification.</p>
         `;
         
         return popup;
@@ -0,0 +1,166 @@
+/**
+ * Diagnostics Store
+ * Bounded history of AI requests, content-script injections and logged
+ * warnings/errors in chrome.storage.local, shown on the diagnostics page and
+ * copied into bug reports. Nothing here contains page text or prompts, and
+ * every entry is redacted before it is stored.
+ */
+
+// content script는 여러 번 주입될 수 있으므로 중복 선언 방지
+if (typeof globalThis.DiagnosticsStore === 'undefined') {
+    class DiagnosticsStore {
+        static REQUESTS_KEY = 'diagnosticsRequests';
+        static INJECTIONS_KEY = 'diagnosticsInjections';
+        static LOGS_KEY = 'diagnosticsLogs';
+
+        static MAX_REQUESTS = 50;
+        static MAX_INJECTIONS = 50;
+        static MAX_LOGS = 100;
+
+        /**
+         * @param {Logger} log - Warnings and errors logged through it are kept
+         */
+        constructor(log = self.logger) {
+            this.logger = log;
+            this.context = DiagnosticsStore.getContext();
+            // 같은 컨텍스트 안에서 읽기-수정-쓰기가 겹치지 않도록 순서대로 기록
+            this.queue = Promise.resolve();
+
+            log.addListener(entry => {
+                if (entry.level === 'warn' || entry.level === 'error') {
+                    this.append(DiagnosticsStore.LOGS_KEY, { ...entry, context: this.context }, DiagnosticsStore.MAX_LOGS);
+                }
+            });
+        }
+
+        /**
+         * Where an entry was recorded: 'background', 'popup', 'results', ...
+         */
+        static getContext() {
+            if (typeof document === 'undefined') return 'background';
+            return location.pathname.split('/').pop().replace(/\.html$/, '') || 'page';
+        }
+
+        // ==================== RECORDING ====================
+
+        /**
+         * @param {Object} request - One GeminiClient.generateText() call
+         * @param {string} request.operation - summarize | translate | search | ...
+         * @param {string} request.model - Provider and model id
+         * @param {number} request.latencyMs - Time until the response (or failure), retries included
+         * @param {string} request.status - ok | partial | aborted | an AIError code
+         * @param {number} request.retries - Attempts after the first
+         * @param {Object} request.usage - { promptTokens, outputTokens, totalTokens } when reported
+         * @param {string} request.error - Error message, if any
+         */
+        recordRequest(request) {
+            return this.append(DiagnosticsStore.REQUESTS_KEY, {
+                time: Date.now(),
+                context: this.context,
+                ...this.logger.redact(request)
+            }, DiagnosticsStore.MAX_REQUESTS);
+        }
+
+        /**
+         * Latest content-script injection result for a tab
+         * @param {number} tabId - Tab id
+         * @param {Object} result - { url, success, error, source }
+         */
+        recordInjection(tabId, { url, success, error = null, source }) {
+            return this.update(DiagnosticsStore.INJECTIONS_KEY, entries => [
+                {
+                    time: Date.now(),
+                    tabId,
+                    url: DiagnosticsStore.stripUrl(url),
+                    success,
+                    error: error && this.logger.redactString(error),
+                    source
+                },
+                ...entries.filter(entry => entry.tabId !== tabId)
+            ].slice(0, DiagnosticsStore.MAX_INJECTIONS));
+        }
+
+        // 쿼리와 해시에는 토큰이나 개인 정보가 들어 있을 수 있음
+        static stripUrl(url) {
+            try {
+                const { origin, pathname } = new URL(url);
+                return origin + pathname;
+            } catch {
+                return '';
+            }
+        }
+
+        append(key, entry, max) {
+            return this.update(key, entries => [entry, ...entries].slice(0, max));
+        }
+
+        update(key, change) {
+            this.queue = this.queue.then(async () => {
+                const result = await chrome.storage.local.get(key);
+                await chrome.storage.local.set({ [key]: change(result[key] || []) });
+            }).catch(error => {
+                // logger로 남기면 다시 기록을 시도하게 되므로 console만 사용
+                console.debug('Diagnostics write failed:', error.message);
+            });
+            return this.queue;
+        }
+
+        // ==================== READING ====================
+
+        /**
+         * @returns {Promise<{requests: Object[], injections: Object[], logs: Object[]}>} Newest first
+         */
+        async getAll() {
+            const keys = [DiagnosticsStore.REQUESTS_KEY, DiagnosticsStore.INJECTIONS_KEY, DiagnosticsStore.LOGS_KEY];
+            const result = await chrome.storage.local.get(keys);
+            return {
+                requests: result[DiagnosticsStore.REQUESTS_KEY] || [],
+                injections: result[DiagnosticsStore.INJECTIONS_KEY] || [],
+                logs: result[DiagnosticsStore.LOGS_KEY] || []
+            };
+        }
+
+        async clear() {
+            await chrome.storage.local.remove([
+                DiagnosticsStore.REQUESTS_KEY, DiagnosticsStore.INJECTIONS_KEY, DiagnosticsStore.LOGS_KEY
+            ]);
+        }
+
+        /**
+         * Everything useful for a bug report: versions, settings without secrets,
+         * and the recorded history
+         * @param {ConfigService} config - Live settings
+         * @returns {Promise<Object>} Redacted report
+         */
+        async buildBugReport(config = self.appConfig) {
+            await config.ready;
+            const settings = config.getAll();
+            // 방문한 사이트와 직접 쓴 프롬프트는 보고서에 넣지 않음
+            settings.siteProfiles = `${Object.keys(settings.siteProfiles).length} profile(s)`;
+            settings.promptTemplates = Object.keys(settings.promptTemplates);
+            // 키 이름(GEMINI_API_KEY)은 redact 대상이므로 provider 이름으로 표시
+            const apiKeys = { locked: config.locked };
+            ConfigService.SECRET_KEYS.forEach(key => {
+                apiKeys[key.replace(/_API_KEY$/, '').toLowerCase()] = settings[key] ? 'set' : 'not set';
+                delete settings[key];
+            });
+
+            return this.logger.redact({
+                generatedAt: new Date().toISOString(),
+                extensionVersion: chrome.runtime.getManifest().version,
+                userAgent: navigator.userAgent,
+                settings,
+                apiKeys,
+                ...await this.getAll()
+            });
+        }
+    }
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DiagnosticsStore;
+    } else {
+        self.DiagnosticsStore = DiagnosticsStore;
+        self.diagnostics = new DiagnosticsStore();
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * Smart Web Assistant - Diagnostics Page
+ * Shows the history kept by DiagnosticsStore and builds bug reports
+ */
+class DiagnosticsPage {
+    constructor() {
+        this.config = self.appConfig;
+        this.store = self.diagnostics;
+        this.init();
+    }
+
+    async init() {
+        try {
+            await this.config.ready;
+            document.getElementById('debugMode').checked = Boolean(this.config.get('DEBUG_MODE'));
+            this.setupEventListeners();
+            await this.render();
+        } catch (error) {
+            logger.error('Diagnostics initialization error:', error);
+            this.showStatus('Failed to load diagnostics', true);
+        }
+    }
+
+    // ==================== EVENT LISTENERS ====================
+
+    setupEventListeners() {
+        document.getElementById('debugMode').addEventListener('change', (e) => this.setDebugMode(e.target.checked));
+        document.getElementById('copyReportBtn').addEventListener('click', () => this.copyBugReport());
+        document.getElementById('refreshBtn').addEventListener('click', () => this.render());
+        document.getElementById('clearBtn').addEventListener('click', () => this.clearHistory());
+
+        // 다른 페이지나 service worker에서 기록되면 바로 반영
+        const keys = [DiagnosticsStore.REQUESTS_KEY, DiagnosticsStore.INJECTIONS_KEY, DiagnosticsStore.LOGS_KEY];
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && keys.some(key => changes[key])) this.render();
+        });
+        this.config.subscribe(changed => {
+            document.getElementById('debugMode').checked = changed.DEBUG_MODE;
+        }, ['DEBUG_MODE']);
+    }
+
+    // ==================== RENDERING ====================
+
+    async render() {
+        const { requests, injections, logs } = await this.store.getAll();
+        this.renderRequests(requests);
+        this.renderInjections(injections);
+        this.renderLogs(logs);
+    }
+
+    renderRequests(requests) {
+        this.fillRows('requestRows', requests, 8, request => [
+            this.formatTime(request.time),
+            request.context,
+            request.operation,
+            request.model,
+            { text: `${request.latencyMs} ms`, number: true },
+            { text: request.status, title: request.error, error: request.status !== 'ok' },
+            { text: request.retries, number: true },
+            { text: request.usage ? `${request.usage.promptTokens} / ${request.usage.outputTokens}` : '-', number: true }
+        ]);
+    }
+
+    renderInjections(injections) {
+        this.fillRows('injectionRows', injections, 5, injection => [
+            this.formatTime(injection.time),
+            { text: injection.tabId, number: true },
+            injection.url || '-',
+            injection.source,
+            injection.success
+                ? { text: '✅ Injected' }
+                : { text: `❌ ${injection.error || 'Failed'}`, error: true }
+        ]);
+    }
+
+    renderLogs(logs) {
+        const list = document.getElementById('logList');
+        list.innerHTML = '';
+        if (!logs.length) {
+            list.appendChild(this.createEmpty('li', 'No warnings or errors recorded.'));
+            return;
+        }
+
+        logs.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = entry.level === 'error' ? 'error' : '';
+            item.textContent = `${this.formatTime(entry.time)} [${entry.level}] (${entry.context}) ${entry.message}`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Replace a table body; cells are plain strings or { text, title, number, error }.
+     * Everything is inserted as text because entries may contain page URLs and error messages.
+     */
+    fillRows(bodyId, entries, columns, toCells) {
+        const body = document.getElementById(bodyId);
+        body.innerHTML = '';
+        if (!entries.length) {
+            const row = document.createElement('tr');
+            const cell = this.createEmpty('td', 'Nothing recorded yet.');
+            cell.colSpan = columns;
+            row.appendChild(cell);
+            body.appendChild(row);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            toCells(entry).forEach(value => {
+                const cellValue = typeof value === 'object' && value !== null ? value : { text: value };
+                const cell = document.createElement('td');
+                cell.textContent = String(cellValue.text ?? '');
+                if (cellValue.title) cell.title = cellValue.title;
+                if (cellValue.number) cell.classList.add('number');
+                if (cellValue.error) cell.classList.add('error');
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    createEmpty(tagName, text) {
+        const element = document.createElement(tagName);
+        element.className = 'empty';
+        element.textContent = text;
+        return element;
+    }
+
+    formatTime(time) {
+        return new Date(time).toLocaleString();
+    }
+
+    // ==================== ACTIONS ====================
+
+    async setDebugMode(enabled) {
+        try {
+            await this.config.set({ DEBUG_MODE: enabled });
+            this.showStatus(enabled ? '✅ Verbose logging on' : 'Verbose logging off');
+        } catch (error) {
+            logger.error('Failed to change DEBUG_MODE:', error);
+            this.showStatus(`Failed to save: ${error.message}`, true);
+        }
+    }
+
+    async copyBugReport() {
+        try {
+            const report = await this.store.buildBugReport(this.config);
+            await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+            this.showStatus('✅ Bug report copied to the clipboard');
+        } catch (error) {
+            logger.error('Failed to copy bug report:', error);
+            this.showStatus(`Failed to copy: ${error.message}`, true);
+        }
+    }
+
+    async clearHistory() {
+        if (!confirm('Clear the recorded requests, injections and errors?')) return;
+
+        try {
+            await this.store.clear();
+            await this.render();
+            this.showStatus('History cleared');
+        } catch (error) {
+            logger.error('Failed to clear diagnostics:', error);
+            this.showStatus(`Failed to clear: ${error.message}`, true);
+        }
+    }
+
+    showStatus(message, isError = false) {
+        const element = document.getElementById('status');
+        element.textContent = message;
+        element.className = `test-result ${isError ? 'error' : 'success'}`;
+    }
+}
+
+// ==================== INITIALIZATION ====================
+
+document.addEventListener('DOMContentLoaded', () => {
+    try {
+        new DiagnosticsPage();
+    } catch (error) {
+        logger.error('Failed to initialize DiagnosticsPage:', error);
+    }
+});
@@ -1,58 +1,26 @@
 /**
  * Environment Variables Loader
- * Loads environment variables from .env file
+ * Env-style access (GEMINI_API_KEY, AI_PROVIDER, ...) on top of the shared ConfigService
  */
 
 class EnvLoader {
-    constructor() {
-        this.env = {};
-        this.loadEnv();
+    constructor(config = self.appConfig) {
+        this.config = config;
+        this.ready = this.config.ready;
     }
 
-    loadEnv() {
-        // Default environment variables (fallback values)
-        this.env = {
-            GEMINI_API_KEY: 'YOUR_API_KEY_HERE',
-            GEMINI_MODEL: 'gemini-2.0-flash',
-            GEMINI_BASE_URL: 'https://generativelanguage.googleapis.com/v1beta/models',
-            GEMINI_MAX_TOKENS: 512,
-            GEMINI_TEMPERATURE: 0.7,
-            EXTENSION_VERSION: '1.0.0',
-            DEBUG_MODE: false
-        };
-
-        // Load from Chrome storage (where .env values are stored)
-        this.loadFromStorage();
+    // Live values; stays in sync with chrome.storage through ConfigService
+    get env() {
+        return this.config.getAll();
     }
 
     async loadFromStorage() {
-        try {
-            const result = await chrome.storage.sync.get([
-                'GEMINI_API_KEY', 
-                'GEMINI_MODEL', 
-                'GEMINI_MAX_TOKENS',
-                'GEMINI_TEMPERATURE'
-            ]);
-            
-            if (result.GEMINI_API_KEY && result.GEMINI_API_KEY !== 'YOUR_API_KEY_HERE') {
-                this.env.GEMINI_API_KEY = result.GEMINI_API_KEY;
-            }
-            if (result.GEMINI_MODEL) {
-                this.env.GEMINI_MODEL = result.GEMINI_MODEL;
-            }
-            if (result.GEMINI_MAX_TOKENS) {
-                this.env.GEMINI_MAX_TOKENS = result.GEMINI_MAX_TOKENS;
-            }
-            if (result.GEMINI_TEMPERATURE) {
-                this.env.GEMINI_TEMPERATURE = result.GEMINI_TEMPERATURE;
-            }
-        } catch (error) {
-            console.log('Using default environment variables');
-        }
+        await this.config.ready;
+        return this.env;
     }
 
     get(key) {
-        return this.env[key];
+        return this.config.get(key);
     }
 
     getAll() {
@@ -62,11 +30,26 @@ class EnvLoader {
     // Save API key to Chrome storage
     async saveApiKey(apiKey) {
         try {
-            await chrome.storage.sync.set({ GEMINI_API_KEY: apiKey });
-            this.env.GEMINI_API_KEY = apiKey;
-            console.log('API key saved successfully');
+            await this.config.set({ GEMINI_API_KEY: apiKey });
+            logger.log('API key saved successfully');
+        } catch (error) {
+            logger.error('Failed to save API key:', error);
+        }
+    }
+
+    // Select AI provider ('gemini' | 'openai' | 'ollama') and its settings
+    async saveProvider(provider, settings = {}) {
+        const prefix = provider.toUpperCase();
+        const values = { AI_PROVIDER: provider };
+        if (settings.apiKey) values[`${prefix}_API_KEY`] = settings.apiKey;
+        if (settings.baseUrl) values[`${prefix}_BASE_URL`] = settings.baseUrl;
+        if (settings.model) values[`${prefix}_MODEL`] = settings.model;
+
+        try {
+            await this.config.set(values);
+            logger.log('AI provider saved:', provider);
         } catch (error) {
-            console.error('Failed to save API key:', error);
+            logger.error('Failed to save AI provider:', error);
         }
     }
 }
@@ -0,0 +1,345 @@
+/**
+ * Job Manager
+ * Long-running AI work in the service worker. Each job has an id and a state,
+ * reports tokens and progress to every attached port, and is kept in
+ * chrome.storage.session so a restarted worker resumes a detached job (and marks
+ * the others failed) and any window can reattach to it by id.
+ *
+ * Port protocol ('ai-job'):
+ *   page → worker  { type: 'start', action, payload, stream, detached } | { type: 'attach', jobId }
+ *                  | { type: 'restart', jobId, changes } | { type: 'cancel', jobId }
+ *   worker → page  { type: 'job', job } on attach and every state change (a job
+ *                  waiting for the request scheduler is 'queued' with its queuePosition),
+ *                  { type: 'token', jobId, fullText }, { type: 'progress', jobId, progress },
+ *                  { type: 'missing', jobId }
+ */
+class JobManager {
+    static STORAGE_KEY = 'aiJobs';
+    static PORT_NAME = 'ai-job';
+
+    static ACTIVE_STATES = ['queued', 'running'];
+    static MAX_FINISHED = 20;
+    static MAX_RESUMES = 1;
+
+    static PERSIST_DELAY = 1000;
+    static KEEP_ALIVE_INTERVAL = 20000;
+
+    /**
+     * @param {Function} run - Does the work: (job, { signal, onToken, onProgress, onQueue }) => result
+     */
+    constructor(run) {
+        this.run = run;
+        this.jobs = new Map();
+        this.controllers = new Map();
+        this.ports = new Map(); // jobId → Set<Port>
+        this.persistTimer = null;
+        this.keepAliveTimer = null;
+        this.ready = this.restore();
+    }
+
+    // ==================== JOBS ====================
+
+    /**
+     * Create a job and start it
+     * @param {string} action - BackgroundService action (generateSummary, translateText, ...)
+     * @param {Object} payload - Action fields (see Messaging.ACTIONS)
+     * @param {Object} options - Job options
+     * @param {boolean} options.detached - Keep running when no window is attached
+     * @param {boolean} options.stream - Forward generated tokens to attached windows
+     * @param {Object} options.tab - { id, url } of the tab the content came from
+     * @returns {Promise<Object>} Job snapshot
+     */
+    async create(action, payload = {}, { detached = false, stream = false, tab = null } = {}) {
+        await this.ready;
+        const job = {
+            id: crypto.randomUUID(),
+            action,
+            payload,
+            url: payload.content?.url || payload.url || tab?.url || null,
+            tab,
+            detached,
+            stream,
+            state: 'queued',
+            queuePosition: null,
+            progress: null,
+            text: '',
+            result: null,
+            error: null,
+            resumes: 0,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        this.jobs.set(job.id, job);
+        this.prune();
+        this.execute(job);
+        return this.snapshot(job);
+    }
+
+    /**
+     * Start a new job with the same request, e.g. { regenerate: true }
+     * @returns {Promise<Object|null>} New job snapshot, null when the job is unknown
+     *          or finished before the worker restarted (its payload was not saved)
+     */
+    async restart(jobId, changes = {}) {
+        await this.ready;
+        const job = this.jobs.get(jobId);
+        if (!job?.payload) return null;
+        return this.create(job.action, { ...job.payload, ...changes }, {
+            detached: job.detached,
+            stream: job.stream,
+            tab: job.tab
+        });
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether a running job was cancelled
+     */
+    async cancel(jobId) {
+        await this.ready;
+        const controller = this.controllers.get(jobId);
+        if (!controller) return false;
+        controller.abort();
+        return true;
+    }
+
+    /**
+     * @param {Object} filter - { url: only jobs for this page }
+     * @returns {Promise<Object[]>} Job snapshots, newest first
+     */
+    async list({ url = null } = {}) {
+        await this.ready;
+        return [...this.jobs.values()]
+            .filter(job => !url || job.url === url)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(job => this.snapshot(job));
+    }
+
+    async execute(job) {
+        const controller = new AbortController();
+        this.controllers.set(job.id, controller);
+        this.updateKeepAlive();
+        this.update(job, { state: 'running' });
+
+        const stream = {
+            signal: controller.signal,
+            onProgress: (progress) => {
+                job.progress = progress;
+                this.broadcast(job.id, { type: 'progress', jobId: job.id, progress });
+                this.schedulePersist();
+            },
+            // 요청 스케줄러에서 기다리는 동안 다시 'queued' (0 = 요청 시작)
+            onQueue: (position) => {
+                const queuePosition = position || null;
+                if (job.queuePosition === queuePosition) return;
+                this.update(job, { state: position ? 'queued' : 'running', queuePosition });
+            }
+        };
+        if (job.stream) {
+            stream.onToken = (chunk, fullText) => {
+                job.text = fullText;
+                this.broadcast(job.id, { type: 'token', jobId: job.id, fullText });
+                this.schedulePersist();
+            };
+        }
+
+        try {
+            const result = await this.run(job, stream);
+            // Stop으로 끊긴 스트림은 받은 부분만 남기고 취소로 처리
+            this.update(job, { state: controller.signal.aborted ? 'cancelled' : 'done', queuePosition: null, result });
+        } catch (error) {
+            if (error?.name === 'AbortError') {
+                this.update(job, { state: 'cancelled', queuePosition: null });
+            } else {
+                logger.error(`Job ${job.action} failed:`, error);
+                this.update(job, { state: 'failed', queuePosition: null, error: Messaging.serializeError(error) });
+            }
+        } finally {
+            this.controllers.delete(job.id);
+            this.updateKeepAlive();
+        }
+    }
+
+    update(job, changes) {
+        Object.assign(job, changes, { updatedAt: Date.now() });
+        this.broadcast(job.id, { type: 'job', job: this.snapshot(job) });
+        this.persist();
+    }
+
+    /**
+     * What windows see: everything except the request payload (page text)
+     */
+    snapshot(job) {
+        const { payload, ...rest } = job;
+        return rest;
+    }
+
+    /**
+     * Keep every active job and the newest finished ones
+     */
+    prune() {
+        const finished = [...this.jobs.values()]
+            .filter(job => !JobManager.ACTIVE_STATES.includes(job.state))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+        finished.slice(JobManager.MAX_FINISHED).forEach(job => this.jobs.delete(job.id));
+    }
+
+    // ==================== PORTS ====================
+
+    /**
+     * Handle an 'ai-job' port from an extension page
+     */
+    connect(port) {
+        if (port.name !== JobManager.PORT_NAME) return;
+
+        port.onMessage.addListener(async (message) => {
+            try {
+                await this.handlePortMessage(port, message);
+            } catch (error) {
+                logger.error('Job port error:', error);
+            }
+        });
+        port.onDisconnect.addListener(() => this.detach(port));
+    }
+
+    async handlePortMessage(port, message) {
+        const tab = port.sender?.tab ? { id: port.sender.tab.id, url: port.sender.tab.url } : null;
+        let job = null;
+
+        switch (message.type) {
+            case 'start':
+                job = await this.create(message.action, message.payload, {
+                    detached: message.detached,
+                    stream: message.stream,
+                    tab
+                });
+                break;
+            case 'restart':
+                job = await this.restart(message.jobId, message.changes);
+                break;
+            case 'attach':
+                await this.ready;
+                job = this.jobs.get(message.jobId) || null;
+                break;
+            case 'cancel':
+                await this.cancel(message.jobId);
+                return;
+        }
+
+        if (!job) {
+            port.postMessage({ type: 'missing', jobId: message.jobId });
+            return;
+        }
+        this.subscribe(job.id, port);
+        port.postMessage({ type: 'job', job: this.snapshot(this.jobs.get(job.id)) });
+    }
+
+    subscribe(jobId, port) {
+        if (!this.ports.has(jobId)) this.ports.set(jobId, new Set());
+        this.ports.get(jobId).add(port);
+    }
+
+    /**
+     * Forget a closed port; a job nobody waits for any more is cancelled unless detached
+     */
+    detach(port) {
+        this.ports.forEach((ports, jobId) => {
+            if (!ports.delete(port) || ports.size) return;
+            this.ports.delete(jobId);
+
+            const job = this.jobs.get(jobId);
+            if (job && !job.detached && JobManager.ACTIVE_STATES.includes(job.state)) {
+                this.cancel(jobId);
+            }
+        });
+    }
+
+    broadcast(jobId, message) {
+        this.ports.get(jobId)?.forEach(port => {
+            try {
+                port.postMessage(message);
+            } catch (error) {
+                // 이미 닫힌 포트 (onDisconnect 전에 보낸 경우)
+                this.detach(port);
+            }
+        });
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    /**
+     * Load jobs saved by an earlier worker. Detached jobs that were still running
+     * are started again once; a job interrupted twice is reported as failed, and so
+     * is any other interrupted job, since the window that owned it lost its port.
+     */
+    async restore() {
+        let saved = [];
+        try {
+            const result = await chrome.storage.session.get(JobManager.STORAGE_KEY);
+            saved = result[JobManager.STORAGE_KEY] || [];
+        } catch (error) {
+            logger.error('Failed to restore jobs:', error);
+        }
+
+        const interrupted = [];
+        saved.forEach(job => {
+            this.jobs.set(job.id, job);
+            if (JobManager.ACTIVE_STATES.includes(job.state)) interrupted.push(job);
+        });
+
+        interrupted.forEach(job => {
+            if (job.detached && job.resumes < JobManager.MAX_RESUMES) {
+                logger.log('Resuming interrupted job:', job.id, job.action);
+                Object.assign(job, { resumes: job.resumes + 1, text: '', progress: null, queuePosition: null });
+                this.execute(job);
+            } else {
+                const error = new AIErrors.AIError('The background service restarted while this job was running');
+                this.update(job, { state: 'failed', queuePosition: null, error: Messaging.serializeError(error) });
+            }
+        });
+    }
+
+    /**
+     * Save right away (state changes). Only active jobs keep their payload (page
+     * text) in session storage: finished ones never run again after a restart.
+     */
+    async persist() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        const jobs = [...this.jobs.values()].map(job =>
+            JobManager.ACTIVE_STATES.includes(job.state) ? job : this.snapshot(job)
+        );
+        try {
+            await chrome.storage.session.set({ [JobManager.STORAGE_KEY]: jobs });
+        } catch (error) {
+            logger.error('Failed to save jobs:', error);
+        }
+    }
+
+    /**
+     * Save at most once per PERSIST_DELAY (streamed tokens, progress)
+     */
+    schedulePersist() {
+        if (this.persistTimer) return;
+        this.persistTimer = setTimeout(() => this.persist(), JobManager.PERSIST_DELAY);
+    }
+
+    /**
+     * MV3 stops an idle service worker after 30 s even while a fetch is streaming;
+     * calling an extension API resets that timer while jobs are running
+     */
+    updateKeepAlive() {
+        if (this.controllers.size && !this.keepAliveTimer) {
+            this.keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(), JobManager.KEEP_ALIVE_INTERVAL);
+        } else if (!this.controllers.size && this.keepAliveTimer) {
+            clearInterval(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobManager;
+} else {
+    self.JobManager = JobManager;
+}
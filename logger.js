@@ -0,0 +1,179 @@
+/**
+ * Logger
+ * Leveled console wrapper that redacts API keys, auth headers and other secrets
+ * before anything reaches DevTools. Debug output only appears with DEBUG_MODE on
+ * (ConfigService sets the level).
+ */
+
+// content script는 여러 번 주입될 수 있으므로 중복 선언 방지
+if (typeof globalThis.Logger === 'undefined') {
+    class Logger {
+        static REDACTED = '[REDACTED]';
+
+        static LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+        // 이름만으로 비밀 값임을 알 수 있는 필드
+        static SECRET_FIELDS = /^(api[_-]?key|[a-z]+_api_key|authorization|x-goog-api-key|passphrase|password)$/i;
+
+        // 형태로 알아볼 수 있는 비밀 값
+        static SECRET_PATTERNS = [
+            [/([?&](?:key|api_key|access_token)=)[^&#\s"']+/gi, '$1[REDACTED]'],
+            [/(Bearer\s+)[\w.~+/=-]+/gi, '$1[REDACTED]'],
+            [/AIza[\w-]{35}/g, '[REDACTED]'],
+            [/\bsk-[\w-]{16,}/g, '[REDACTED]']
+        ];
+
+        constructor() {
+            this.secrets = new Set();
+            // DEBUG_MODE가 로드되기 전까지는 경고와 오류만 출력
+            this.level = 'warn';
+            this.listeners = new Set();
+        }
+
+        // ==================== LEVELS ====================
+
+        /**
+         * Lowest level written to the console ('debug' shows everything)
+         * @param {string} level - debug | info | warn | error
+         */
+        setLevel(level) {
+            if (level in Logger.LEVELS) this.level = level;
+        }
+
+        isEnabled(level) {
+            return Logger.LEVELS[level] >= Logger.LEVELS[this.level];
+        }
+
+        /**
+         * Receive every entry, whatever the console level
+         * @param {Function} listener - Called with { level, time, message } (already redacted)
+         * @returns {Function} Unsubscribe
+         */
+        addListener(listener) {
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+
+        /**
+         * Redact this exact value wherever it appears from now on
+         * @param {string} value - A secret (API key, passphrase)
+         */
+        addSecret(value) {
+            if (typeof value === 'string' && value.length >= 8) {
+                this.secrets.add(value);
+            }
+        }
+
+        removeSecret(value) {
+            this.secrets.delete(value);
+        }
+
+        redactString(text) {
+            let result = text;
+            this.secrets.forEach(secret => {
+                result = result.split(secret).join(Logger.REDACTED);
+            });
+            Logger.SECRET_PATTERNS.forEach(([pattern, replacement]) => {
+                result = result.replace(pattern, replacement);
+            });
+            return result;
+        }
+
+        /**
+         * Copy of a log argument with secrets removed; strings, errors, arrays
+         * and plain objects are handled recursively
+         */
+        redact(value, seen = new WeakSet()) {
+            if (typeof value === 'string') return this.redactString(value);
+            if (value === null || typeof value !== 'object') return value;
+            if (seen.has(value)) return '[Circular]';
+            seen.add(value);
+
+            if (Array.isArray(value)) {
+                return value.map(item => this.redact(item, seen));
+            }
+
+            if (value instanceof Error) {
+                // message/stack은 열거되지 않으므로 직접 복사
+                const copy = Object.create(Object.getPrototypeOf(value));
+                Object.getOwnPropertyNames(value).forEach(name => {
+                    copy[name] = this.redact(value[name], seen);
+                });
+                return copy;
+            }
+
+            const proto = Object.getPrototypeOf(value);
+            if (proto !== Object.prototype && proto !== null) return value;
+
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+                key,
+                Logger.SECRET_FIELDS.test(key) && item ? Logger.REDACTED : this.redact(item, seen)
+            ]));
+        }
+
+        /**
+         * One-line text of (already redacted) log arguments
+         */
+        format(args) {
+            return args.map(arg => {
+                if (typeof arg === 'string') return arg;
+                if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+                try {
+                    return JSON.stringify(arg);
+                } catch {
+                    return String(arg);
+                }
+            }).join(' ');
+        }
+
+        // ==================== CONSOLE METHODS ====================
+
+        write(level, method, args) {
+            const enabled = this.isEnabled(level);
+            if (!enabled && !this.listeners.size) return;
+
+            const redacted = args.map(arg => this.redact(arg));
+            if (enabled) console[method](...redacted);
+
+            if (this.listeners.size) {
+                const entry = { level, time: Date.now(), message: this.format(redacted) };
+                this.listeners.forEach(listener => {
+                    try {
+                        listener(entry);
+                    } catch (error) {
+                        console.error('Log listener error:', error);
+                    }
+                });
+            }
+        }
+
+        debug(...args) {
+            this.write('debug', 'debug', args);
+        }
+
+        // 예전 console.log 호출을 옮긴 것이므로 debug 수준
+        log(...args) {
+            this.write('debug', 'log', args);
+        }
+
+        info(...args) {
+            this.write('info', 'info', args);
+        }
+
+        warn(...args) {
+            this.write('warn', 'warn', args);
+        }
+
+        error(...args) {
+            this.write('error', 'error', args);
+        }
+    }
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Logger;
+    } else {
+        self.Logger = Logger;
+        self.logger = new Logger();
+    }
+}
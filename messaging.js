@@ -0,0 +1,366 @@
+/**
+ * Messaging
+ * Declared, versioned runtime messages shared by every extension context
+ * (service worker, popup, search and results windows, content scripts).
+ * A message is an envelope { protocol, version, id, action, payload }; the
+ * payload is checked against the action's declaration on both ends, and the
+ * reply { id, success, data | error } always answers the same request id.
+ */
+
+// content script는 여러 번 주입될 수 있으므로 중복 선언 방지
+if (typeof globalThis.Messaging === 'undefined') {
+    class MessagingError extends Error {
+        /**
+         * @param {string} message - What went wrong
+         * @param {string} code - unknown_action | invalid_payload | version_mismatch | timeout | no_receiver
+         */
+        constructor(message, code) {
+            super(message);
+            this.name = 'MessagingError';
+            this.code = code;
+        }
+    }
+
+    // AI 작업은 재시도와 map-reduce 요약까지 포함하므로 길게 잡음
+    const AI_TIMEOUT = 3 * 60 * 1000;
+
+    // 선택한 텍스트에 대한 작업 (컨텍스트 메뉴 → 페이지의 말풍선)
+    const SELECTION_OPERATIONS = ['explain', 'summarize', 'translate', 'define', 'rewrite'];
+
+    const Messaging = {
+        PROTOCOL: 'smart-web-assistant',
+        VERSION: 1,
+        DEFAULT_TIMEOUT: 10000,
+        SELECTION_OPERATIONS,
+
+        /**
+         * Every action: the context that handles it, its payload fields
+         * ({ type, required, enum }) and an optional reply timeout (ms)
+         */
+        ACTIONS: {
+            // Service worker (background.js)
+            getPageInfo: { to: 'background' },
+            analyzeContent: {
+                to: 'background',
+                timeout: AI_TIMEOUT,
+                payload: { content: { type: 'object', required: true } }
+            },
+            generateSummary: {
+                to: 'background',
+                timeout: AI_TIMEOUT,
+                payload: {
+                    content: { type: 'object', required: true },
+                    length: { type: 'string', enum: ['short', 'medium', 'long'] },
+                    regenerate: { type: 'boolean' }
+                }
+            },
+            translateText: {
+                to: 'background',
+                timeout: AI_TIMEOUT,
+                payload: {
+                    text: { type: 'string', required: true },
+                    targetLang: { type: 'string' },
+                    url: { type: 'string' },
+                    regenerate: { type: 'boolean' }
+                }
+            },
+            translateSegments: {
+                to: 'background',
+                timeout: AI_TIMEOUT,
+                payload: {
+                    segments: { type: 'array', required: true },
+                    targetLang: { type: 'string' },
+                    url: { type: 'string' }
+                }
+            },
+            searchContent: {
+                to: 'background',
+                timeout: AI_TIMEOUT,
+                payload: {
+                    content: { type: 'object', required: true },
+                    query: { type: 'string', required: true },
+                    regenerate: { type: 'boolean' }
+                }
+            },
+            askQuestion: {
+                to: 'background',
+                timeout: AI_TIMEOUT,
+                payload: {
+                    content: { type: 'object', required: true },
+                    query: { type: 'string', required: true }
+                }
+            },
+            extractImportant: {
+                to: 'background',
+                timeout: AI_TIMEOUT,
+                payload: { content: { type: 'object', required: true } }
+            },
+            processSelection: {
+                to: 'background',
+                timeout: AI_TIMEOUT,
+                payload: {
+                    operation: { type: 'string', required: true, enum: SELECTION_OPERATIONS },
+                    text: { type: 'string', required: true },
+                    context: { type: 'string' },
+                    url: { type: 'string' }
+                }
+            },
+            askFollowUp: {
+                to: 'background',
+                timeout: AI_TIMEOUT,
+                payload: {
+                    text: { type: 'string', required: true },
+                    previous: { type: 'string', required: true },
+                    query: { type: 'string', required: true },
+                    url: { type: 'string' }
+                }
+            },
+            openResultsWindow: {
+                to: 'background',
+                payload: {
+                    // 페이지 텍스트가 담기므로 선택 영역 결과(모두 escape해서 표시)만 허용
+                    type: { type: 'string', required: true, enum: ['selection'] },
+                    data: { type: 'object', required: true }
+                }
+            },
+            getUsage: { to: 'background' },
+            getJobs: { to: 'background', payload: { url: { type: 'string' } } },
+            cancelJob: { to: 'background', payload: { jobId: { type: 'string', required: true } } },
+            getSettings: { to: 'background' },
+            updateSettings: { to: 'background', payload: { settings: { type: 'object', required: true } } },
+
+            // Popup
+            summaryProgress: {
+                to: 'popup',
+                payload: {
+                    stage: { type: 'string', required: true },
+                    completed: { type: 'number' },
+                    total: { type: 'number' }
+                }
+            },
+
+            // Content script (content.js)
+            ping: { to: 'content' },
+            getPageContent: { to: 'content' },
+            highlightImportantContent: {
+                to: 'content',
+                timeout: AI_TIMEOUT, // 문장이 없으면 content script가 AI에 요청
+                payload: {
+                    sentences: { type: 'array' },
+                    quiet: { type: 'boolean' }
+                }
+            },
+            removeHighlights: { to: 'content' },
+            showSelectionBubble: {
+                to: 'content',
+                payload: {
+                    operation: { type: 'string', required: true, enum: SELECTION_OPERATIONS },
+                    text: { type: 'string', required: true }
+                }
+            },
+            summarizePage: { to: 'content' },
+            translatePage: { to: 'content' },
+            queuePosition: {
+                to: 'content',
+                payload: {
+                    action: { type: 'string', required: true },
+                    position: { type: 'number', required: true }
+                }
+            }
+        },
+
+        // ==================== SENDING ====================
+
+        /**
+         * Send to the extension (service worker or open extension pages)
+         * @param {string} action - Declared action
+         * @param {Object} payload - Fields declared for the action
+         * @param {Object} options - { timeout: ms, defaults to the action's timeout }
+         * @returns {Promise<*>} Handler result
+         * @throws {MessagingError|AIError} Delivery failure or the handler's error
+         */
+        send(action, payload = {}, options = {}) {
+            return this.request(message => chrome.runtime.sendMessage(message), action, payload, options);
+        },
+
+        /**
+         * Send to a tab's content script
+         * @param {number} tabId - Tab id
+         * @param {Object} options - { timeout, frameId }
+         */
+        sendToTab(tabId, action, payload = {}, { frameId, ...options } = {}) {
+            const target = frameId === undefined ? {} : { frameId };
+            return this.request(message => chrome.tabs.sendMessage(tabId, message, target), action, payload, options);
+        },
+
+        /**
+         * send() for notifications nobody may be listening to (e.g. the popup is closed)
+         */
+        async notify(action, payload = {}) {
+            try {
+                await this.send(action, payload);
+            } catch (error) {
+                if (error.code !== 'no_receiver') throw error;
+            }
+        },
+
+        async request(deliver, action, payload, { timeout } = {}) {
+            const message = this.createEnvelope(action, payload);
+            const limit = timeout ?? this.ACTIONS[action].timeout ?? this.DEFAULT_TIMEOUT;
+
+            let timer = null;
+            const timedOut = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    reject(new MessagingError(`${action} timed out after ${limit} ms`, 'timeout'));
+                }, limit);
+            });
+
+            let response;
+            try {
+                response = await Promise.race([deliver(message), timedOut]);
+            } catch (error) {
+                if (error instanceof MessagingError) throw error;
+                // 수신자가 없거나 응답 전에 채널이 닫힘
+                throw new MessagingError(`${action}: ${error.message}`, 'no_receiver');
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (!response || response.id !== message.id) {
+                throw new MessagingError(`${action}: no reply`, 'no_receiver');
+            }
+            if (!response.success) {
+                throw this.deserializeError(response.error);
+            }
+            return response.data;
+        },
+
+        createEnvelope(action, payload = {}) {
+            this.validate(action, payload);
+            return {
+                protocol: this.PROTOCOL,
+                version: this.VERSION,
+                id: this.createId(),
+                action,
+                payload
+            };
+        },
+
+        // content script가 http 페이지에 있으면 crypto.randomUUID()가 없음 (secure context 전용)
+        createId() {
+            return crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        },
+
+        // ==================== RECEIVING ====================
+
+        /**
+         * Answer the given actions in this context. Messages for other actions are
+         * left to other listeners, so several contexts can share the channel.
+         * @param {Object<string, Function>} handlers - action → (payload, sender) => result
+         * @returns {Function} Remove the listener
+         */
+        listen(handlers) {
+            const listener = (message, sender, sendResponse) => {
+                if (message?.protocol !== this.PROTOCOL || !handlers[message.action]) return false;
+
+                this.handle(message, sender, handlers[message.action]).then(sendResponse);
+                return true; // 비동기 응답을 위해 채널 유지
+            };
+            chrome.runtime.onMessage.addListener(listener);
+            return () => chrome.runtime.onMessage.removeListener(listener);
+        },
+
+        async handle(message, sender, handler) {
+            try {
+                if (message.version !== this.VERSION) {
+                    throw new MessagingError(
+                        `Message version ${message.version} is not supported (expected ${this.VERSION}). Reload the page.`,
+                        'version_mismatch'
+                    );
+                }
+                this.validate(message.action, message.payload);
+                logger.debug('Message received:', message.action);
+
+                const data = await handler(message.payload, sender);
+                return { id: message.id, success: true, data };
+            } catch (error) {
+                if (error?.name !== 'AbortError') logger.error(`${message.action} failed:`, error);
+                return { id: message.id, success: false, error: this.serializeError(error) };
+            }
+        },
+
+        // ==================== VALIDATION ====================
+
+        /**
+         * @throws {MessagingError} unknown_action or invalid_payload
+         */
+        validate(action, payload) {
+            const declaration = this.ACTIONS[action];
+            if (!declaration) {
+                throw new MessagingError(`Unknown action: ${action}`, 'unknown_action');
+            }
+            if (!this.hasType(payload, 'object')) {
+                throw new MessagingError(`Invalid ${action} payload: not an object`, 'invalid_payload');
+            }
+
+            const fields = declaration.payload || {};
+            const errors = Object.keys(payload)
+                .filter(key => !fields[key])
+                .map(key => `unexpected field "${key}"`);
+
+            Object.entries(fields).forEach(([key, field]) => {
+                const value = payload[key];
+                if (value === undefined || value === null) {
+                    if (field.required) errors.push(`"${key}" is required`);
+                } else if (!this.hasType(value, field.type)) {
+                    errors.push(`"${key}" must be ${field.type === 'array' ? 'an' : 'a'} ${field.type}`);
+                } else if (field.enum && !field.enum.includes(value)) {
+                    errors.push(`"${key}" must be one of ${field.enum.join(', ')}`);
+                }
+            });
+
+            if (errors.length) {
+                throw new MessagingError(`Invalid ${action} payload: ${errors.join('; ')}`, 'invalid_payload');
+            }
+        },
+
+        hasType(value, type) {
+            switch (type) {
+                case 'array': return Array.isArray(value);
+                case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                default: return typeof value === type;
+            }
+        },
+
+        // ==================== ERRORS ====================
+
+        /**
+         * Errors lose their class when structured-cloned; AIErrors keep their
+         * type where ai/errors.js is loaded, other contexts (content scripts)
+         * get the user-facing message
+         */
+        serializeError(error) {
+            const data = self.AIErrors
+                ? { ...AIErrors.serialize(error), userMessage: AIErrors.describe(error).message }
+                : { name: error?.name || 'Error', message: error?.message || String(error) };
+            return { ...data, code: error?.code ?? null };
+        },
+
+        deserializeError(data = {}) {
+            if (data.name === 'MessagingError') return new MessagingError(data.message, data.code);
+            if (self.AIErrors) return AIErrors.deserialize(data);
+            if (data.name === 'AbortError') return new DOMException(data.message, 'AbortError');
+            return new Error(data.userMessage || data.message);
+        },
+
+        MessagingError
+    };
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Messaging;
+    } else {
+        self.Messaging = Messaging;
+    }
+}
@@ -6,7 +6,10 @@ class SmartWebAssistant {
     constructor() {
         this.currentTab = null;
         this.isProcessing = false;
-        this.gemini = new GeminiClient();
+        this.abortController = null;
+        // AI 요청은 service worker의 GeminiClient가 처리
+        this.ai = new BackgroundAI();
+        this.config = self.appConfig;
         this.init();
     }
 
@@ -15,8 +18,11 @@ class SmartWebAssistant {
             await this.getCurrentTab();
             this.setupEventListeners();
             this.updateStatus('Ready');
+            this.showUsage();
+            this.showSiteProfile();
+            this.showJobs();
         } catch (error) {
-            console.error('Initialization error:', error);
+            logger.error('Initialization error:', error);
             this.updateStatus('Initialization failed', true);
         }
     }
@@ -29,7 +35,7 @@ class SmartWebAssistant {
             if (!tab) throw new Error('No active tab found');
             this.currentTab = tab;
         } catch (error) {
-            console.error('Failed to get current tab:', error);
+            logger.error('Failed to get current tab:', error);
             throw error;
         }
     }
@@ -44,7 +50,9 @@ class SmartWebAssistant {
             'translateBtn': () => this.handleTranslate(),
             'searchSubmitBtn': () => this.performSearch(),
             'searchInput': (e) => e.key === 'Enter' && this.performSearch(),
-            'settingsBtn': () => this.openSettings()
+            'settingsBtn': () => this.openSettings(),
+            'siteProfileBtn': () => this.createSiteProfile(),
+            'cancelBtn': () => this.cancelOperation()
         };
 
         Object.entries(eventMap).forEach(([id, handler]) => {
@@ -57,6 +65,19 @@ class SmartWebAssistant {
                 }
             }
         });
+
+        // 결과 창에서 진행 중인 요약의 진행 상황
+        Messaging.listen({
+            summaryProgress: (payload) => this.updateSummaryProgress(payload)
+        });
+    }
+
+    updateSummaryProgress({ stage, completed, total }) {
+        if (stage === 'map') {
+            this.updateStatus(`Summarizing ${completed + 1}/${total}...`);
+        } else if (stage === 'reduce') {
+            this.updateStatus('Merging summaries...');
+        }
     }
 
     // ==================== STATUS MANAGEMENT ====================
@@ -70,7 +91,29 @@ class SmartWebAssistant {
             if (statusText) statusText.textContent = status;
             if (statusDot) statusDot.style.background = isError ? '#ef4444' : '#4ade80';
         } catch (error) {
-            console.error('Status update error:', error);
+            logger.error('Status update error:', error);
+        }
+    }
+
+    /**
+     * 오늘의 AI 사용량 (요청 수 / 토큰) 표시
+     */
+    async showUsage() {
+        const usageInfo = document.getElementById('usageInfo');
+        if (!usageInfo) return;
+
+        try {
+            const usage = await this.ai.getUsage();
+            const tokens = usage.totalTokens >= 1000
+                ? `${(usage.totalTokens / 1000).toFixed(1)}k`
+                : usage.totalTokens;
+
+            usageInfo.textContent = `Today: ${usage.requests}/${usage.dailyRequests} requests · ${tokens} tokens`;
+            usageInfo.title = Object.entries(usage.models)
+                .map(([model, stats]) => `${model}: ${stats.requests} requests, ${stats.totalTokens} tokens`)
+                .join('\n');
+        } catch (error) {
+            logger.error('Usage display error:', error);
         }
     }
 
@@ -83,13 +126,21 @@ class SmartWebAssistant {
         this.updateStatus('Analyzing...');
         
         try {
+            await this.ai.assertSiteAllowed(this.currentTab.url);
             this.showSummarySection();
             const content = await this.getPageContent();
-            const summary = await this.gemini.summarize(content.text);
-            this.displaySummary(summary);
-            this.updateStatus('Summary complete');
+            // 백그라운드 작업으로 생성하고 결과 창에서 스트리밍 (팝업이 닫혀도 계속됨)
+            const job = await this.ai.startJob('generateSummary', {
+                content: {
+                    text: content.text,
+                    url: content.url,
+                    headings: content.headings.map(heading => heading.text)
+                }
+            });
+            this.openJobWindow(job.id);
+            this.updateStatus('Summarizing in results window');
         } catch (error) {
-            this.handleError('Summarization', error);
+            this.handleError('Summarization', error, () => this.handleSummarize());
         } finally {
             this.isProcessing = false;
         }
@@ -98,17 +149,79 @@ class SmartWebAssistant {
     async handleHighlight() {
         if (this.isProcessing) return;
         
-        this.isProcessing = true;
-        this.updateStatus('Highlighting...');
+        const signal = this.startOperation('Highlighting...');
         
         try {
-            await this.injectContentScript();
-            await this.sendMessageToContentScript('highlightImportantContent');
+            const content = await this.getPageContent();
+            // "AI로 보내지 않음" 사이트는 content script의 자체 점수 계산만 사용
+            await this.config.ready;
+            const sentences = this.config.isAIAllowed(content.url)
+                ? await this.findImportantSentences(content, signal)
+                : [];
+            signal.throwIfAborted();
+            await this.sendMessageToContentScript('highlightImportantContent', { sentences });
             this.updateStatus('Highlights applied');
         } catch (error) {
-            this.handleError('Highlighting', error);
+            this.handleError('Highlighting', error, () => this.handleHighlight());
         } finally {
-            this.isProcessing = false;
+            this.finishOperation();
+        }
+    }
+
+    /**
+     * AI로 중요한 문장 선택, 실패하면 content script의 자체 점수 계산에 맡김
+     */
+    async findImportantSentences(content, signal) {
+        try {
+            const result = await this.ai.extractImportant({ text: content.text, url: content.url }, {
+                signal,
+                onQueue: this.queueStatus('Highlighting...')
+            });
+            return result.sentences;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            logger.log('AI sentence extraction failed, using local scoring:', error.message);
+            return [];
+        }
+    }
+
+    // ==================== CANCELLATION ====================
+
+    /**
+     * Mark an operation as running and show the Cancel button
+     * @returns {AbortSignal} Signal to pass to BackgroundAI
+     */
+    startOperation(status) {
+        this.isProcessing = true;
+        this.abortController = new AbortController();
+        this.updateStatus(status);
+
+        const cancelBtn = document.getElementById('cancelBtn');
+        if (cancelBtn) cancelBtn.style.display = 'inline-block';
+
+        return this.abortController.signal;
+    }
+
+    /**
+     * onQueue for BackgroundAI: show the request's place in the background queue,
+     * then the operation's status once it starts
+     */
+    queueStatus(status) {
+        return (position) => this.updateStatus(position ? `Waiting in queue (#${position})...` : status);
+    }
+
+    finishOperation() {
+        this.isProcessing = false;
+        this.abortController = null;
+
+        const cancelBtn = document.getElementById('cancelBtn');
+        if (cancelBtn) cancelBtn.style.display = 'none';
+    }
+
+    cancelOperation() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.updateStatus('Cancelled');
         }
     }
 
@@ -137,7 +250,7 @@ class SmartWebAssistant {
                 this.updateStatus('웹페이지에서만 사용 가능합니다', true);
             }
         } catch (error) {
-            console.error('Search error:', error);
+            logger.error('Search error:', error);
             this.updateStatus('Search failed', true);
         }
     }
@@ -149,13 +262,16 @@ class SmartWebAssistant {
         this.updateStatus('Translating...');
         
         try {
+            await this.ai.assertSiteAllowed(this.currentTab.url);
             this.showSummarySection();
             const content = await this.getPageContent();
-            const translation = await this.gemini.translate(content.text, 'Korean');
-            this.displayTranslation(translation);
-            this.updateStatus('Translation complete');
+            // 사이트 프로필의 선호 번역 언어 (없으면 출력 언어)
+            const targetLang = this.config.getSiteProfile(content.url)?.targetLanguage || undefined;
+            const job = await this.ai.startJob('translateText', { text: content.text, url: content.url, targetLang });
+            this.openJobWindow(job.id);
+            this.updateStatus('Translating in results window');
         } catch (error) {
-            this.handleError('Translation', error);
+            this.handleError('Translation', error, () => this.handleTranslate());
         } finally {
             this.isProcessing = false;
         }
@@ -165,115 +281,91 @@ class SmartWebAssistant {
         const query = document.getElementById('searchInput').value.trim();
         if (!query) return;
         
-        this.isProcessing = true;
-        this.updateStatus('Searching...');
+        const signal = this.startOperation('Searching...');
         
         try {
+            await this.ai.assertSiteAllowed(this.currentTab.url);
             const content = await this.getPageContent();
-            const results = await this.gemini.search(content.text, query);
+            const results = await this.ai.search({ text: content.text, url: content.url }, query, {
+                signal,
+                onQueue: this.queueStatus('Searching...')
+            });
             this.displaySearchResults(results);
             this.updateStatus('Search complete');
         } catch (error) {
-            this.handleError('Search', error);
+            this.handleError('Search', error, () => this.performSearch());
         } finally {
-            this.isProcessing = false;
+            this.finishOperation();
         }
     }
 
     // ==================== CONTENT INTERACTION ====================
     
+    /**
+     * @returns {Promise<Object>} Page content from the content script
+     * @throws {AIErrors.ContentUnavailableError} When the page can't be read or has no text
+     */
     async getPageContent() {
-        return new Promise(async (resolve, reject) => {
-            // 탭 ID 유효성 검사
-            if (!this.currentTab || !this.currentTab.id || this.currentTab.id < 0) {
-                console.error('Invalid tab ID:', this.currentTab);
-                resolve(this.getFallbackContent());
-                return;
-            }
+        // 탭 ID 유효성 검사
+        if (!this.isValidTab()) {
+            throw new AIErrors.ContentUnavailableError(`Invalid tab: ${this.currentTab?.id}`);
+        }
 
-            try {
-                // 먼저 content script를 주입
-                await this.injectContentScript();
-                
-                // 잠시 대기 후 메시지 전송
-                setTimeout(() => {
-                    chrome.tabs.sendMessage(this.currentTab.id, {
-                        action: 'getPageContent'
-                    }, (response) => {
-                        if (chrome.runtime.lastError) {
-                            const errorMsg = chrome.runtime.lastError.message || chrome.runtime.lastError.toString();
-                            console.error('Chrome runtime error:', errorMsg);
-                            resolve(this.getFallbackContent());
-                        } else if (response?.content) {
-                            resolve(response.content);
-                        } else {
-                            console.log('No content received, using fallback');
-                            resolve(this.getFallbackContent());
-                        }
-                    });
-                }, 1000); // 대기 시간 증가
-            } catch (error) {
-                console.error('Content script injection failed:', error);
-                resolve(this.getFallbackContent());
-            }
-        });
+        let content;
+        try {
+            // content script가 없으면 주입 (executeScript는 스크립트 실행 후 완료되므로 대기 불필요)
+            await this.injectContentScript();
+            content = await Messaging.sendToTab(this.currentTab.id, 'getPageContent');
+        } catch (error) {
+            throw new AIErrors.ContentUnavailableError(`Failed to read page content: ${error.message}`, { cause: error });
+        }
+        if (!content?.text) {
+            throw new AIErrors.ContentUnavailableError('No content received from the page');
+        }
+        return content;
     }
 
-    getFallbackContent() {
-        return {
-            title: this.currentTab.title,
-            url: this.currentTab.url,
-            text: 'Content not available. Please refresh the page and try again.',
-            images: [],
-            links: [],
-            headings: [],
-            metadata: {}
-        };
+    isValidTab() {
+        return Boolean(this.currentTab?.id && this.currentTab.id >= 0);
     }
 
     async injectContentScript() {
         try {
             // 이미 주입되었는지 확인
-            const response = await chrome.tabs.sendMessage(this.currentTab.id, { action: 'ping' });
-            if (response) {
-                console.log('Content script already loaded');
-                return;
-            }
+            await Messaging.sendToTab(this.currentTab.id, 'ping', {}, { timeout: 1000 });
+            logger.log('Content script already loaded');
+            return;
         } catch (error) {
             // Content script가 없으면 주입
-            console.log('Content script not found, injecting...');
+            logger.log('Content script not found, injecting...');
         }
 
         try {
             await chrome.scripting.executeScript({
                 target: { tabId: this.currentTab.id },
-                files: ['content.js']
+                files: ['logger.js', 'settings-schema.js', 'config-service.js', 'messaging.js', 'content.js']
             });
-            console.log('Content script injected successfully');
+            logger.log('Content script injected successfully');
+            diagnostics.recordInjection(this.currentTab.id, { url: this.currentTab.url, success: true, source: 'popup' });
         } catch (error) {
-            console.error('Content script injection failed:', error.message);
+            logger.error('Content script injection failed:', error.message);
+            diagnostics.recordInjection(this.currentTab.id, {
+                url: this.currentTab.url,
+                success: false,
+                error: error.message,
+                source: 'popup'
+            });
             throw error;
         }
     }
 
-    async sendMessageToContentScript(action, data = {}) {
-        return new Promise((resolve, reject) => {
-            // 탭 ID 유효성 검사
-            if (!this.currentTab || !this.currentTab.id || this.currentTab.id < 0) {
-                console.error('Invalid tab ID for message:', this.currentTab);
-                reject(new Error('Invalid tab ID'));
-                return;
-            }
-
-            setTimeout(async () => {
-                try {
-                    await chrome.tabs.sendMessage(this.currentTab.id, { action, ...data });
-                    resolve();
-                } catch (error) {
-                    reject(error);
-                }
-            }, 1000);
-        });
+    async sendMessageToContentScript(action, payload = {}) {
+        // 탭 ID 유효성 검사
+        if (!this.isValidTab()) {
+            logger.error('Invalid tab ID for message:', this.currentTab);
+            throw new Error('Invalid tab ID');
+        }
+        return Messaging.sendToTab(this.currentTab.id, action, payload);
     }
 
     // ==================== UI DISPLAY METHODS ====================
@@ -283,7 +375,7 @@ class SmartWebAssistant {
         if (summarySection) {
             summarySection.style.display = 'block';
         } else {
-            console.log('Summary section not found - using results window instead');
+            logger.log('Summary section not found - using results window instead');
         }
     }
 
@@ -310,27 +402,66 @@ class SmartWebAssistant {
         try {
             // 데이터를 URL 파라미터로 인코딩
             const encodedData = encodeURIComponent(JSON.stringify(data));
-            const url = `results.html?type=${type}&data=${encodedData}`;
-            
-            // 새 창 열기
-            chrome.windows.create({
-                url: chrome.runtime.getURL(url),
-                type: 'popup',
-                width: 1000,
-                height: 700,
-                left: 100,
-                top: 100
-            });
-            
-            console.log(`Opened results window for ${type}:`, data);
+            this.createResultsWindow(`results.html?type=${type}&data=${encodedData}`);
+            logger.log(`Opened results window for ${type}:`, data);
         } catch (error) {
-            console.error('Failed to open results window:', error);
+            logger.error('Failed to open results window:', error);
             // Fallback: 기존 방식으로 표시
             this.updateSummaryContent(`<div class="result-content">${JSON.stringify(data, null, 2)}</div>`);
         }
     }
 
 
+    /**
+     * Results window attached to a background job
+     */
+    openJobWindow(jobId) {
+        this.createResultsWindow(`results.html?job=${jobId}`);
+    }
+
+    createResultsWindow(path) {
+        chrome.windows.create({
+            url: chrome.runtime.getURL(path),
+            type: 'popup',
+            width: 1000,
+            height: 700,
+            left: 100,
+            top: 100
+        });
+    }
+
+    // ==================== BACKGROUND JOBS ====================
+
+    /**
+     * List this page's running and recent summaries / translations so a closed
+     * results window can be reopened
+     */
+    async showJobs() {
+        const list = document.getElementById('jobsList');
+        if (!list || !this.currentTab?.url) return;
+
+        try {
+            const labels = { generateSummary: '📄 Summary', translateText: '🌐 Translation' };
+            const states = { queued: 'waiting', running: 'running', done: 'ready', failed: 'failed', cancelled: 'stopped' };
+            const jobs = (await this.ai.listJobs(this.currentTab.url))
+                .filter(job => labels[job.action])
+                .slice(0, 3);
+
+            list.innerHTML = '';
+            jobs.forEach(job => {
+                const button = document.createElement('button');
+                button.className = `job-item job-${job.state}`;
+                const state = job.queuePosition ? `${states[job.state]} #${job.queuePosition}` : states[job.state];
+                button.textContent = `${labels[job.action]} · ${state} — Open`;
+                button.addEventListener('click', () => this.openJobWindow(job.id));
+                list.appendChild(button);
+            });
+            list.hidden = !jobs.length;
+        } catch (error) {
+            logger.error('Job list error:', error);
+        }
+    }
+
     attachSummaryActions(summary) {
         const copyBtn = document.getElementById('copyBtn');
         const shareBtn = document.getElementById('shareBtn');
@@ -346,20 +477,55 @@ class SmartWebAssistant {
 
     // ==================== ERROR HANDLING ====================
     
-    handleError(operation, error) {
-        console.error(`${operation} error:`, error);
+    /**
+     * Show an actionable message for a failed operation
+     * @param {string} operation - Operation name for logs
+     * @param {Error} error - AIError from BackgroundAI or any other error
+     * @param {Function} retry - Called when the user clicks Retry
+     */
+    handleError(operation, error, retry = null) {
+        if (error?.name === 'AbortError') {
+            logger.log(`${operation} cancelled`);
+            this.updateStatus('Cancelled');
+            return;
+        }
+
+        logger.error(`${operation} error:`, error);
         this.updateStatus('Error occurred', true);
         
-        // API 503 오류인 경우 특별한 메시지 표시
-        if (error.message && (error.message.includes('503') || error.message.includes('API Error'))) {
-            this.displayError(`AI 서비스가 일시적으로 사용할 수 없습니다. 잠시 후 다시 시도해주세요.`);
-        } else {
-            this.displayError(`Failed to ${operation.toLowerCase()}: ${this.getErrorMessage(error)}`);
+        const { message, retryable, code } = AIErrors.describe(error);
+        this.displayError(
+            code === 'unknown' ? `Failed to ${operation.toLowerCase()}: ${this.getErrorMessage(error)}` : message,
+            { retry: retryable ? retry : null, showSettings: code === 'auth' || code === 'site_blocked' }
+        );
+    }
+
+    displayError(message, { retry = null, showSettings = false } = {}) {
+        const statusMessage = document.getElementById('statusMessage');
+        if (!statusMessage) return;
+
+        statusMessage.innerHTML = `
+            <div class="status-icon">❌</div>
+            <p class="error-message"></p>
+            <div class="error-actions"></div>
+        `;
+        statusMessage.querySelector('.error-message').textContent = message;
+
+        const actions = statusMessage.querySelector('.error-actions');
+        if (retry) {
+            actions.appendChild(this.createErrorAction('🔄 Retry', retry));
+        }
+        if (showSettings) {
+            actions.appendChild(this.createErrorAction('⚙️ Settings', () => this.openSettings()));
         }
     }
 
-    displayError(message) {
-        this.updateSummaryContent(`<div class="error-message">❌ ${message}</div>`);
+    createErrorAction(label, handler) {
+        const button = document.createElement('button');
+        button.className = 'error-action-btn';
+        button.textContent = label;
+        button.addEventListener('click', handler);
+        return button;
     }
 
     getErrorMessage(error) {
@@ -376,7 +542,7 @@ class SmartWebAssistant {
             await navigator.clipboard.writeText(text);
             this.showSuccessFeedback('Copied!');
         } catch (error) {
-            console.error('Copy to clipboard error:', error);
+            logger.error('Copy to clipboard error:', error);
         }
     }
 
@@ -389,7 +555,7 @@ class SmartWebAssistant {
                 await this.copyToClipboard(text);
             }
         } catch (error) {
-            console.error('Share summary error:', error);
+            logger.error('Share summary error:', error);
         }
     }
 
@@ -402,11 +568,56 @@ class SmartWebAssistant {
         }, 2000);
     }
 
+    // ==================== SITE PROFILES ====================
+
+    /**
+     * Label the site-profile button with the current tab's profile state
+     */
+    async showSiteProfile() {
+        const button = document.getElementById('siteProfileBtn');
+        if (!button) return;
+
+        const domain = ConfigService.getDomain(this.currentTab?.url);
+        button.disabled = !domain;
+        if (!domain) return;
+
+        await this.config.ready;
+        const profile = this.config.getSiteProfile(this.currentTab.url);
+        button.querySelector('.site-profile-label').textContent = profile
+            ? `Edit profile (${profile.domain})`
+            : `Create profile for ${domain}`;
+    }
+
+    /**
+     * Create a profile for the current tab's domain (if it has none) and open it in settings
+     */
+    async createSiteProfile() {
+        const domain = ConfigService.getDomain(this.currentTab?.url);
+        if (!domain) {
+            this.updateStatus('웹페이지에서만 사용 가능합니다', true);
+            return;
+        }
+
+        try {
+            await this.config.ready;
+            const existing = this.config.getSiteProfile(this.currentTab.url);
+            const profileDomain = existing?.domain || domain;
+            if (!existing) {
+                await this.config.saveSiteProfile(domain, {});
+            }
+            chrome.tabs.create({
+                url: chrome.runtime.getURL(`settings.html#site=${encodeURIComponent(profileDomain)}`)
+            });
+        } catch (error) {
+            this.handleError('Site profile', error);
+        }
+    }
+
     openSettings() {
         try {
-            chrome.tabs.create({ url: chrome.runtime.getURL('settings.html') });
+            chrome.runtime.openOptionsPage();
         } catch (error) {
-            console.error('Open settings error:', error);
+            logger.error('Open settings error:', error);
         }
     }
 }
@@ -417,6 +628,6 @@ document.addEventListener('DOMContentLoaded', () => {
     try {
         new SmartWebAssistant();
     } catch (error) {
-        console.error('Failed to initialize SmartWebAssistant:', error);
+        logger.error('Failed to initialize SmartWebAssistant:', error);
     }
 });
@@ -3,18 +3,29 @@
  * Dedicated window for displaying AI analysis results
  */
 class ResultsWindow {
+    // 백그라운드 작업 종류별 화면과 결과 필드
+    static JOB_VIEWS = {
+        generateSummary: { type: 'summary', field: 'summary' },
+        translateText: { type: 'translation', field: 'translatedText' },
+        searchContent: { type: 'search', field: 'answer' }
+    };
+
     constructor() {
         this.resultsContainer = document.getElementById('resultsContainer');
+        this.ai = new BackgroundAI();
         this.init();
     }
 
     init() {
         // URL 파라미터에서 결과 데이터 가져오기
         const urlParams = new URLSearchParams(window.location.search);
+        const jobId = urlParams.get('job');
         const resultType = urlParams.get('type');
         const resultData = urlParams.get('data');
 
-        if (resultType && resultData) {
+        if (jobId) {
+            this.showJob(jobId);
+        } else if (resultType && resultData) {
             try {
                 const data = JSON.parse(decodeURIComponent(resultData));
                 this.displayResult(resultType, data);
@@ -42,6 +53,9 @@ class ResultsWindow {
             case 'highlight':
                 html = this.createHighlightResult(data);
                 break;
+            case 'selection':
+                html = this.createSelectionResult(data);
+                break;
             default:
                 html = this.createGenericResult(data);
         }
@@ -50,6 +64,149 @@ class ResultsWindow {
         this.attachEventListeners();
     }
 
+    // ==================== STREAMING ====================
+
+    /**
+     * Follow a background job (see job-manager.js) and render tokens as they arrive.
+     * The job keeps running when this window closes; reloading reattaches to it.
+     * @param {string} jobId - Job id
+     * @param {Object} options - { regenerate: run the job again, bypassing the cache }
+     */
+    async showJob(jobId, { regenerate = false } = {}) {
+        let elements = null;
+
+        const render = (job) => {
+            const view = ResultsWindow.JOB_VIEWS[job.action];
+            this.resultsContainer.innerHTML = this.createStreamingResult(view.type);
+            this.attachEventListeners();
+
+            elements = {
+                view,
+                content: document.getElementById('streamContent'),
+                copy: this.resultsContainer.querySelector('.copy-btn'),
+                stop: document.getElementById('stopBtn'),
+                regenerate: document.getElementById('regenerateBtn')
+            };
+            elements.stop.addEventListener('click', () => this.ai.cancelJob(job.id));
+            elements.regenerate.addEventListener('click', () => this.showJob(job.id, { regenerate: true }));
+        };
+
+        const options = {
+            onJob: (job) => {
+                // 다시 생성하면 새 작업이 되므로 새로고침해도 같은 작업에 연결되도록 URL 갱신
+                if (job.id !== jobId) {
+                    jobId = job.id;
+                    history.replaceState(null, '', `?job=${job.id}`);
+                }
+                if (!elements) render(job);
+                if (job.text || !['queued', 'running'].includes(job.state)) return;
+                // 요청 스케줄러에서 다른 탭의 요청 뒤에 대기 중
+                if (job.queuePosition) {
+                    elements.content.textContent = `Waiting in queue (#${job.queuePosition})...`;
+                } else {
+                    elements.content.textContent = job.progress ? this.describeProgress(job.progress) : 'Working...';
+                }
+            },
+            onProgress: (progress) => {
+                if (!elements.content.dataset.streaming) this.reportProgress(elements.content, progress);
+            },
+            onToken: (chunk, fullText) => {
+                elements.content.dataset.streaming = 'true';
+                elements.content.textContent = fullText;
+            }
+        };
+
+        try {
+            const result = regenerate
+                ? await this.ai.restartJob(jobId, { regenerate: true }, options)
+                : await this.ai.attach(jobId, options);
+            const text = result[elements.view.field];
+
+            elements.content.textContent = text;
+            elements.copy.setAttribute('data-copy-text', text);
+            if (result.cached) {
+                document.getElementById('cachedBadge').style.display = 'inline-block';
+            }
+        } catch (error) {
+            if (error.name === 'AbortError' && elements) {
+                elements.content.textContent = elements.content.textContent || 'Stopped.';
+                elements.copy.setAttribute('data-copy-text', elements.content.textContent);
+            } else {
+                logger.error('Job error:', error);
+                const { message, retryable, code } = AIErrors.describe(error);
+                this.displayError(message, {
+                    retry: retryable ? () => this.showJob(jobId, { regenerate: true }) : null,
+                    showSettings: code === 'auth' || code === 'site_blocked'
+                });
+                return;
+            }
+        } finally {
+            if (elements) {
+                elements.content.classList.remove('active');
+                elements.stop.remove();
+                elements.regenerate.style.display = '';
+            }
+        }
+    }
+
+    /**
+     * Show map-reduce progress until the first token arrives, and relay it to the popup
+     */
+    reportProgress(contentEl, { stage, completed, total }) {
+        contentEl.textContent = this.describeProgress({ stage, completed, total });
+
+        // 팝업이 닫혀 있으면 수신자가 없음
+        Messaging.notify('summaryProgress', { stage, completed, total }).catch(error => {
+            logger.log('Progress relay failed:', error.message);
+        });
+    }
+
+    describeProgress({ stage, completed, total }) {
+        const messages = {
+            summarize: 'Summarizing...',
+            map: `Summarizing part ${completed + 1} of ${total}...`,
+            reduce: `Merging ${total} partial summaries...`
+        };
+        return messages[stage] || 'Working...';
+    }
+
+    createStreamingResult(type) {
+        const titles = {
+            summary: '📄 Page Summary',
+            translation: '🌐 Translation Result',
+            search: '🔍 Search Results'
+        };
+        const classes = {
+            summary: 'summary-content',
+            translation: 'translation-content',
+            search: 'search-content'
+        };
+
+        return `
+            <div class="result-section">
+                <div class="result-title">
+                    ${titles[type]}
+                    <span class="cached-badge" id="cachedBadge" style="display: none;">⚡ Cached</span>
+                </div>
+                <div class="result-content ${classes[type]} streaming active" id="streamContent"></div>
+                <div class="actions">
+                    <button class="btn btn-danger" id="stopBtn">
+                        ⏹ Stop
+                    </button>
+                    <button class="btn btn-secondary" id="regenerateBtn" style="display: none;">
+                        🔄 Regenerate
+                    </button>
+                    <button class="btn btn-primary copy-btn" data-copy-text="">
+                        📋 Copy
+                    </button>
+                    <button class="btn btn-secondary close-btn">
+                        ✕ Close
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
     createSummaryResult(data) {
         return `
             <div class="result-section">
@@ -57,7 +214,7 @@ class ResultsWindow {
                     📄 Page Summary
                 </div>
                 <div class="result-content summary-content">
-                    ${data.summary || data.content || 'No summary available'}
+                    ${this.escapeHtml(data.summary || data.content || 'No summary available')}
                 </div>
                 <div class="actions">
                     <button class="btn btn-primary copy-btn" data-copy-text="${this.escapeHtml(data.summary || data.content || '')}">
@@ -79,7 +236,7 @@ class ResultsWindow {
                     🌐 Translation Result
                 </div>
                 <div class="result-content translation-content">
-                    ${data.translation || data.content || 'No translation available'}
+                    ${this.escapeHtml(data.translation || data.content || 'No translation available')}
                 </div>
                 <div class="actions">
                     <button class="btn btn-primary copy-btn" data-copy-text="${this.escapeHtml(data.translation || data.content || '')}">
@@ -101,7 +258,7 @@ class ResultsWindow {
                     🔍 Search Results
                 </div>
                 <div class="result-content search-content">
-                    ${data.results || data.content || 'No search results available'}
+                    ${this.escapeHtml(data.results || data.content || 'No search results available')}
                 </div>
                 <div class="actions">
                     <button class="btn btn-primary copy-btn" data-copy-text="${this.escapeHtml(data.results || data.content || '')}">
@@ -138,6 +295,37 @@ class ResultsWindow {
         `;
     }
 
+    /**
+     * A selection bubble expanded from the page: the selected text, the first
+     * answer and any follow-up questions (all inserted as text)
+     * @param {Object} data - { title, text, thread: [{ question, answer }] }
+     */
+    createSelectionResult(data) {
+        const thread = (data.thread || []).map(entry => `
+            ${entry.question ? `<p class="selection-question">❓ ${this.escapeHtml(entry.question)}</p>` : ''}
+            <div class="result-content selection-content">${this.escapeHtml(entry.answer || '')}</div>
+        `).join('');
+        const answers = (data.thread || []).map(entry => entry.answer).join('\n\n');
+
+        return `
+            <div class="result-section">
+                <div class="result-title">
+                    ${this.escapeHtml(data.title || '✨ Selection')}
+                </div>
+                <blockquote class="selection-quote">${this.escapeHtml(data.text || '')}</blockquote>
+                ${thread}
+                <div class="actions">
+                    <button class="btn btn-primary copy-btn" data-copy-text="${this.escapeHtml(answers)}">
+                        📋 Copy
+                    </button>
+                    <button class="btn btn-secondary close-btn">
+                        ✕ Close
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
     createGenericResult(data) {
         return `
             <div class="result-section">
@@ -145,7 +333,7 @@ class ResultsWindow {
                     📊 Analysis Result
                 </div>
                 <div class="result-content">
-                    ${data.content || JSON.stringify(data, null, 2)}
+                    ${this.escapeHtml(data.content || JSON.stringify(data, null, 2))}
                 </div>
                 <div class="actions">
                     <button class="btn btn-primary copy-btn" data-copy-text="${this.escapeHtml(data.content || JSON.stringify(data, null, 2))}">
@@ -165,40 +353,54 @@ class ResultsWindow {
         return `
             <div class="stats">
                 <div class="stat-card">
-                    <div class="stat-number">${data.stats.wordCount || 0}</div>
+                    <div class="stat-number">${Number(data.stats.wordCount) || 0}</div>
                     <div class="stat-label">Words</div>
                 </div>
                 <div class="stat-card">
-                    <div class="stat-number">${data.stats.charCount || 0}</div>
+                    <div class="stat-number">${Number(data.stats.charCount) || 0}</div>
                     <div class="stat-label">Characters</div>
                 </div>
                 <div class="stat-card">
-                    <div class="stat-number">${data.stats.processingTime || 0}ms</div>
+                    <div class="stat-number">${Number(data.stats.processingTime) || 0}ms</div>
                     <div class="stat-label">Processing Time</div>
                 </div>
             </div>
         `;
     }
 
-    displayError(message) {
+    displayError(message, { retry = null, showSettings = false } = {}) {
         this.resultsContainer.innerHTML = `
             <div class="result-section">
                 <div class="result-title">
                     ❌ Error
                 </div>
-                <div class="result-content" style="background: #fff5f5; border-left: 4px solid #f56565;">
-                    ${message}
-                </div>
+                <div class="result-content error-content error-text"></div>
                 <div class="actions">
+                    ${retry ? '<button class="btn btn-primary retry-btn">🔄 Retry</button>' : ''}
+                    ${showSettings ? '<button class="btn btn-primary settings-btn">⚙️ Open Settings</button>' : ''}
                     <button class="btn btn-secondary close-btn">
                         ✕ Close
                     </button>
                 </div>
             </div>
         `;
+        this.resultsContainer.querySelector('.error-text').textContent = message;
+
+        if (retry) {
+            this.resultsContainer.querySelector('.retry-btn').addEventListener('click', retry);
+        }
+        if (showSettings) {
+            this.resultsContainer.querySelector('.settings-btn').addEventListener('click', () => {
+                chrome.runtime.openOptionsPage();
+            });
+        }
     }
 
     attachEventListeners() {
+        // document 단위 위임이므로 한 번만 등록 (재시도 시 중복 방지)
+        if (this.listenersAttached) return;
+        this.listenersAttached = true;
+
         // Copy to clipboard functionality
         document.addEventListener('click', (e) => {
             if (e.target.classList.contains('copy-btn')) {
@@ -225,8 +427,9 @@ class ResultsWindow {
             if (e.target.classList.contains('remove-highlights-btn')) {
                 chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
                     if (tabs[0]) {
-                        chrome.tabs.sendMessage(tabs[0].id, { action: 'removeHighlights' });
-                        this.showToast('Highlights removed');
+                        Messaging.sendToTab(tabs[0].id, 'removeHighlights')
+                            .then(() => this.showToast('Highlights removed'))
+                            .catch(() => this.showToast('Failed to remove highlights'));
                     }
                 });
             }
@@ -257,7 +460,8 @@ class ResultsWindow {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // innerHTML은 따옴표를 그대로 두므로 data-copy-text 같은 속성 값에 쓸 수 있도록 직접 변환
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 }
 
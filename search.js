@@ -8,7 +8,9 @@ class AISearch {
         this.searchBtn = document.getElementById('searchBtn');
         this.resultsContainer = document.getElementById('resultsContainer');
         this.isSearching = false;
-        this.gemini = new GeminiClient();
+        this.abortController = null;
+        // AI 요청은 service worker의 GeminiClient가 처리
+        this.ai = new BackgroundAI();
         this.pageContent = null;
         
         this.init();
@@ -20,7 +22,14 @@ class AISearch {
     }
 
     setupEventListeners() {
-        this.searchBtn.addEventListener('click', () => this.performSearch());
+        // 검색 중에는 검색 버튼이 취소 버튼으로 동작
+        this.searchBtn.addEventListener('click', () => {
+            if (this.isSearching) {
+                this.stopSearch();
+            } else {
+                this.performSearch();
+            }
+        });
         this.searchInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
                 this.performSearch();
@@ -35,7 +44,7 @@ class AISearch {
             const tabId = urlParams.get('tabId');
             const targetUrl = urlParams.get('url');
             
-            console.log('Loading content from tabId:', tabId, 'URL:', targetUrl);
+            logger.log('Loading content from tabId:', tabId, 'URL:', targetUrl);
             
             if (tabId && targetUrl) {
                 try {
@@ -53,20 +62,20 @@ class AISearch {
                     
                     if (results && results[0] && results[0].result) {
                         this.pageContent = results[0].result;
-                        console.log('웹페이지 내용 로드됨:', this.pageContent.text.length, '자');
+                        logger.log('웹페이지 내용 로드됨:', this.pageContent.text.length, '자');
                         this.showToast('✅ 웹페이지 내용 로드 완료!');
                     } else {
                         this.showError('웹페이지 내용을 가져올 수 없습니다.');
                     }
                 } catch (scriptError) {
-                    console.log('Script execution failed:', scriptError.message);
+                    logger.log('Script execution failed:', scriptError.message);
                     this.showError('웹페이지 내용을 읽을 수 없습니다.');
                 }
             } else {
                 this.showError('웹페이지 정보를 찾을 수 없습니다. 웹페이지에서 AI Search 버튼을 클릭해주세요.');
             }
         } catch (error) {
-            console.error('Error loading page content:', error);
+            logger.error('Error loading page content:', error);
             this.showError('페이지 로드 실패: ' + error.message);
         }
     }
@@ -78,7 +87,7 @@ class AISearch {
             text: `페이지 제목: ${tab.title || 'Unknown Page'}\nURL: ${tab.url || 'Unknown URL'}`,
             domain: tab.url ? new URL(tab.url).hostname : 'unknown'
         };
-        console.log('Fallback content created');
+        logger.log('Fallback content created');
         this.showToast('✅ 기본 정보로 검색 준비 완료!');
     }
 
@@ -97,32 +106,60 @@ class AISearch {
         if (this.isSearching) return;
 
         this.isSearching = true;
+        this.abortController = new AbortController();
         this.updateSearchButton(true);
         this.showLoading();
 
         try {
-            console.log('Searching with query:', query);
-            console.log('Page text length:', this.pageContent.text.length);
+            logger.log('Searching with query:', query);
+            logger.log('Page text length:', this.pageContent.text.length);
+            await this.ai.assertSiteAllowed(this.pageContent.url);
             
             // 페이지 내용과 질문을 함께 전달
-            const prompt = `다음은 웹페이지의 내용입니다:\n\n${this.pageContent.text}\n\n사용자 질문: ${query}\n\n위 페이지 내용을 바탕으로 질문에 답변해주세요.`;
-            
-            const results = await this.gemini.generateText(prompt);
-            this.displayResults(query, results);
+            let contentEl = null;
+            const results = await this.ai.ask(this.pageContent, query, {
+                signal: this.abortController.signal,
+                onQueue: (position) => this.updateLoading(position),
+                onToken: (chunk, fullText) => {
+                    // 첫 토큰이 도착하면 로딩 화면을 결과 영역으로 교체
+                    if (!contentEl) contentEl = this.renderResultShell(query);
+                    contentEl.textContent = fullText;
+                }
+            });
+
+            if (!contentEl) contentEl = this.renderResultShell(query);
+            contentEl.textContent = results;
+            contentEl.classList.remove('active');
+            this.attachResultActions(results);
         } catch (error) {
-            console.error('Search error:', error);
-            this.showError('검색 실패: ' + error.message);
+            if (error.name === 'AbortError') {
+                this.showError('검색이 중지되었습니다.');
+            } else {
+                logger.error('Search error:', error);
+                const { message, retryable } = AIErrors.describe(error);
+                this.showError('검색 실패: ' + message, {
+                    retry: retryable ? () => this.performSearch() : null
+                });
+            }
         } finally {
             this.isSearching = false;
+            this.abortController = null;
             this.updateSearchButton(false);
         }
     }
 
+    stopSearch() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
     updateSearchButton(isSearching) {
         if (isSearching) {
-            this.searchBtn.disabled = true;
-            this.searchBtn.innerHTML = '<span>⏳</span> 검색 중...';
+            this.searchBtn.classList.add('cancel');
+            this.searchBtn.innerHTML = '<span>⏹</span> 취소';
         } else {
+            this.searchBtn.classList.remove('cancel');
             this.searchBtn.disabled = false;
             this.searchBtn.innerHTML = '<span>🔍</span> 검색';
         }
@@ -134,27 +171,58 @@ class AISearch {
             <div class="loading">
                 <div class="spinner"></div>
                 <p>AI로 검색 중...</p>
+                <div class="actions" style="justify-content: center;">
+                    <button class="btn btn-danger stop-btn">⏹ 중지</button>
+                </div>
             </div>
         `;
+        this.resultsContainer.querySelector('.stop-btn').addEventListener('click', () => this.stopSearch());
     }
 
-    displayResults(query, results) {
+    /**
+     * 다른 탭의 요청 뒤에서 기다리는 동안 대기 순번 표시 (0 = 검색 시작)
+     */
+    updateLoading(position) {
+        const label = this.resultsContainer.querySelector('.loading p');
+        if (label) label.textContent = position ? `대기 중... (${position}번째)` : 'AI로 검색 중...';
+    }
+
+    /**
+     * 스트리밍 결과를 채워 넣을 결과 영역을 그리고 본문 요소를 반환
+     */
+    renderResultShell(query) {
         const html = `
             <div class="result-item">
-                <div class="result-title">🔍 "${query}" 검색 결과</div>
-                <div class="result-content">${results}</div>
+                <div class="result-title"></div>
+                <div class="result-content streaming active"></div>
                 <div class="result-meta">
                     <span>AI 검색</span>
-                    <span class="relevance-score">높은 관련성</span>
+                    <button class="btn btn-danger stop-btn">⏹ 중지</button>
                 </div>
             </div>
         `;
 
         this.resultsContainer.innerHTML = html;
+        this.resultsContainer.querySelector('.result-title').textContent = `🔍 "${query}" 검색 결과`;
+        const stopBtn = this.resultsContainer.querySelector('.stop-btn');
+        stopBtn.addEventListener('click', () => {
+            this.stopSearch();
+            stopBtn.remove();
+        });
+        return this.resultsContainer.querySelector('.result-content');
+    }
+
+    displayResults(query, results) {
+        const contentEl = this.renderResultShell(query);
+        contentEl.textContent = results;
+        contentEl.classList.remove('active');
+        this.resultsContainer.querySelector('.stop-btn')?.remove();
         this.attachResultActions(results);
     }
 
     attachResultActions(results) {
+        this.resultsContainer.querySelector('.stop-btn')?.remove();
+
         // 복사 기능
         const copyBtn = document.createElement('button');
         copyBtn.className = 'btn copy-btn';
@@ -184,18 +252,23 @@ class AISearch {
         this.resultsContainer.appendChild(actionsDiv);
     }
 
-    showError(message) {
+    showError(message, { retry = null } = {}) {
         this.resultsContainer.style.display = 'block';
         this.resultsContainer.innerHTML = `
             <div class="no-results">
                 <div class="no-results-icon">❌</div>
                 <h3>오류</h3>
-                <p>${message}</p>
-                <div class="actions">
+                <p class="error-text"></p>
+                <div class="actions" style="justify-content: center;">
+                    ${retry ? '<button class="btn btn-primary retry-btn">🔄 다시 시도</button>' : ''}
                     <button class="btn btn-secondary" onclick="window.close()">✕ 닫기</button>
                 </div>
             </div>
         `;
+        this.resultsContainer.querySelector('.error-text').textContent = message;
+        if (retry) {
+            this.resultsContainer.querySelector('.retry-btn').addEventListener('click', retry);
+        }
     }
 
     showToast(message) {
@@ -0,0 +1,209 @@
+/**
+ * Secret Store
+ * API keys live in chrome.storage.local (never synced). With a passphrase they
+ * are encrypted with AES-GCM using a PBKDF2-derived key; the unlocked key is kept
+ * in chrome.storage.session so every extension page shares it until the browser closes.
+ */
+
+// content script는 여러 번 주입될 수 있으므로 중복 선언 방지
+if (typeof globalThis.SecretStore === 'undefined') {
+    class SecretStore {
+        static KEYS_KEY = 'apiKeys';
+        static VAULT_KEY = 'apiKeyVault';
+        static SESSION_KEY = 'apiKeyVaultKey';
+        static ITERATIONS = 250000;
+        static CHECK_VALUE = 'smart-web-assistant';
+
+        // ==================== STATUS ====================
+
+        async getVault() {
+            const result = await chrome.storage.local.get(SecretStore.VAULT_KEY);
+            return result[SecretStore.VAULT_KEY] || null;
+        }
+
+        /**
+         * Unlocked encryption key for this browser session, if any
+         * @returns {Promise<CryptoKey|null>}
+         */
+        async getSessionKey() {
+            try {
+                const result = await chrome.storage.session.get(SecretStore.SESSION_KEY);
+                const raw = result[SecretStore.SESSION_KEY];
+                if (!raw) return null;
+                return crypto.subtle.importKey('raw', SecretStore.fromBase64(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * @returns {Promise<{encrypted: boolean, unlocked: boolean}>}
+         */
+        async getStatus() {
+            const vault = await this.getVault();
+            if (!vault) return { encrypted: false, unlocked: true };
+            return { encrypted: true, unlocked: Boolean(await this.getSessionKey()) };
+        }
+
+        // ==================== READ / WRITE ====================
+
+        /**
+         * Decrypted API keys
+         * @returns {Promise<{values: Object, locked: boolean}>} locked is true when
+         *          encrypted keys exist but the store has not been unlocked
+         */
+        async readAll() {
+            const result = await chrome.storage.local.get(SecretStore.KEYS_KEY);
+            const stored = result[SecretStore.KEYS_KEY] || {};
+            const key = await this.getSessionKey();
+            const values = {};
+            let locked = false;
+
+            for (const [name, entry] of Object.entries(stored)) {
+                if (typeof entry === 'string') {
+                    values[name] = entry;
+                } else if (key) {
+                    try {
+                        values[name] = await this.decrypt(key, entry);
+                    } catch (error) {
+                        locked = true;
+                    }
+                } else {
+                    locked = true;
+                }
+            }
+
+            return { values, locked };
+        }
+
+        /**
+         * Store API keys, encrypting them when a passphrase is set
+         * @param {Object} values - e.g. { GEMINI_API_KEY: 'AIza...' }; empty values remove the key
+         * @throws {Error} When encryption is on and the store is locked
+         */
+        async write(values) {
+            const vault = await this.getVault();
+            const key = vault ? await this.getSessionKey() : null;
+            if (vault && !key) {
+                throw new Error('API keys are locked. Unlock them with your passphrase first.');
+            }
+
+            const result = await chrome.storage.local.get(SecretStore.KEYS_KEY);
+            const stored = result[SecretStore.KEYS_KEY] || {};
+            for (const [name, value] of Object.entries(values)) {
+                if (!value) {
+                    delete stored[name];
+                } else {
+                    stored[name] = key ? await this.encrypt(key, value) : value;
+                }
+            }
+            await chrome.storage.local.set({ [SecretStore.KEYS_KEY]: stored });
+        }
+
+        // ==================== PASSPHRASE ====================
+
+        /**
+         * Encrypt every stored key with a passphrase and unlock for this session
+         */
+        async enableEncryption(passphrase) {
+            if (await this.getVault()) {
+                throw new Error('API key encryption is already enabled.');
+            }
+
+            const { values } = await this.readAll();
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const key = await this.deriveKey(passphrase, salt, SecretStore.ITERATIONS);
+            const vault = {
+                salt: SecretStore.toBase64(salt),
+                iterations: SecretStore.ITERATIONS,
+                check: await this.encrypt(key, SecretStore.CHECK_VALUE)
+            };
+
+            await this.storeSessionKey(key);
+            await chrome.storage.local.set({ [SecretStore.VAULT_KEY]: vault });
+            await this.write(values);
+        }
+
+        /**
+         * @throws {Error} On a wrong passphrase
+         */
+        async unlock(passphrase) {
+            const vault = await this.getVault();
+            if (!vault) return;
+
+            const key = await this.deriveKey(passphrase, SecretStore.fromBase64(vault.salt), vault.iterations);
+            try {
+                await this.decrypt(key, vault.check);
+            } catch (error) {
+                throw new Error('Wrong passphrase.');
+            }
+            await this.storeSessionKey(key);
+        }
+
+        async lock() {
+            await chrome.storage.session.remove(SecretStore.SESSION_KEY);
+        }
+
+        /**
+         * Store the keys unencrypted again (must be unlocked)
+         */
+        async disableEncryption() {
+            const { values, locked } = await this.readAll();
+            if (locked) {
+                throw new Error('API keys are locked. Unlock them with your passphrase first.');
+            }
+
+            await chrome.storage.local.set({ [SecretStore.KEYS_KEY]: values });
+            await chrome.storage.local.remove(SecretStore.VAULT_KEY);
+            await this.lock();
+        }
+
+        // ==================== CRYPTO ====================
+
+        async deriveKey(passphrase, salt, iterations) {
+            const material = await crypto.subtle.importKey(
+                'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+            );
+            return crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                true,
+                ['encrypt', 'decrypt']
+            );
+        }
+
+        async storeSessionKey(key) {
+            const raw = await crypto.subtle.exportKey('raw', key);
+            await chrome.storage.session.set({ [SecretStore.SESSION_KEY]: SecretStore.toBase64(raw) });
+        }
+
+        async encrypt(key, text) {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+            return { iv: SecretStore.toBase64(iv), data: SecretStore.toBase64(data) };
+        }
+
+        async decrypt(key, { iv, data }) {
+            const plain = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: SecretStore.fromBase64(iv) }, key, SecretStore.fromBase64(data)
+            );
+            return new TextDecoder().decode(plain);
+        }
+
+        static toBase64(buffer) {
+            return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+        }
+
+        static fromBase64(text) {
+            return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+        }
+    }
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SecretStore;
+    } else {
+        self.SecretStore = SecretStore;
+    }
+}
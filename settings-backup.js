@@ -0,0 +1,280 @@
+/**
+ * Settings Backup
+ * Export of settings, prompt templates, site profiles and cached results to one
+ * versioned JSON file, and import with a preview step validated by SettingsSchema.
+ * API keys are only included when explicitly requested.
+ */
+
+// content script는 여러 번 주입될 수 있으므로 중복 선언 방지
+if (typeof globalThis.SettingsBackup === 'undefined') {
+    class SettingsBackup {
+        static FORMAT = 'smart-web-assistant-backup';
+        static VERSION = 1;
+
+        // 별도 섹션으로 내보내는 설정 (나머지는 settings 섹션)
+        static MAP_SECTIONS = ['promptTemplates', 'siteProfiles'];
+        static SECTIONS = ['settings', 'promptTemplates', 'siteProfiles', 'results', 'apiKeys'];
+
+        // 기기/설치마다 다른 값이라 옮기지 않음
+        static EXCLUDED_KEYS = ['EXTENSION_VERSION'];
+
+        /**
+         * @param {ConfigService} config - Live settings (defaults to the shared appConfig)
+         * @param {ResponseCache} cache - Cached AI results (omit to skip the results section)
+         */
+        constructor(config = self.appConfig, cache = null) {
+            this.config = config;
+            this.cache = cache;
+        }
+
+        // ==================== EXPORT ====================
+
+        /**
+         * Build the backup object
+         * @param {Object} options - Export options
+         * @param {boolean} options.includeResults - Include cached AI results
+         * @param {boolean} options.includeApiKeys - Include API keys in plain text
+         * @returns {Promise<Object>} Backup ready for JSON.stringify
+         * @throws {Error} When API keys are requested while they are locked
+         */
+        async createExport({ includeResults = true, includeApiKeys = false } = {}) {
+            await this.config.ready;
+            const values = this.config.getAll();
+
+            const backup = {
+                format: SettingsBackup.FORMAT,
+                version: SettingsBackup.VERSION,
+                settingsVersion: SettingsSchema.VERSION,
+                extensionVersion: chrome.runtime.getManifest().version,
+                exportedAt: new Date().toISOString(),
+                settings: Object.fromEntries(this.getSettingKeys().map(key => [key, values[key]])),
+                promptTemplates: values.promptTemplates,
+                siteProfiles: values.siteProfiles
+            };
+
+            if (includeResults && this.cache) {
+                backup.results = await this.exportResults();
+            }
+            if (includeApiKeys) {
+                if (this.config.locked) {
+                    throw new Error('API keys are locked. Unlock them before exporting them.');
+                }
+                backup.apiKeys = Object.fromEntries(ConfigService.SECRET_KEYS
+                    .filter(key => values[key])
+                    .map(key => [key, values[key]]));
+            }
+            return backup;
+        }
+
+        getSettingKeys() {
+            return Object.keys(SettingsSchema.properties).filter(key => (
+                !SettingsSchema.properties[key].secret
+                && !SettingsBackup.MAP_SECTIONS.includes(key)
+                && !SettingsBackup.EXCLUDED_KEYS.includes(key)
+            ));
+        }
+
+        async exportResults() {
+            const entries = await this.cache.transaction('readonly', store => store.getAll());
+            return entries.map(({ key, value, url, operation, createdAt }) => ({ key, value, url, operation, createdAt }));
+        }
+
+        /**
+         * Save the backup through chrome.downloads (the user picks the location)
+         * @returns {Promise<number>} Download id
+         */
+        async download(backup) {
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const date = backup.exportedAt.slice(0, 10);
+
+            try {
+                const downloadId = await chrome.downloads.download({
+                    url,
+                    filename: `smart-web-assistant-backup-${date}.json`,
+                    saveAs: true
+                });
+                this.revokeWhenDone(downloadId, url);
+                return downloadId;
+            } catch (error) {
+                URL.revokeObjectURL(url);
+                throw error;
+            }
+        }
+
+        revokeWhenDone(downloadId, url) {
+            const listener = (delta) => {
+                if (delta.id !== downloadId || !delta.state || delta.state.current === 'in_progress') return;
+                chrome.downloads.onChanged.removeListener(listener);
+                URL.revokeObjectURL(url);
+            };
+            chrome.downloads.onChanged.addListener(listener);
+        }
+
+        // ==================== IMPORT ====================
+
+        /**
+         * Parse and check a backup file
+         * @param {string} text - File contents
+         * @returns {Object} Backup object
+         * @throws {Error} When the file is not a backup this version can read
+         */
+        parse(text) {
+            let backup;
+            try {
+                backup = JSON.parse(text);
+            } catch (error) {
+                throw new Error('The file is not valid JSON.');
+            }
+
+            if (!backup || backup.format !== SettingsBackup.FORMAT) {
+                throw new Error('This is not a Smart Web Assistant backup file.');
+            }
+            if (!Number.isInteger(backup.version) || backup.version > SettingsBackup.VERSION
+                || backup.settingsVersion > SettingsSchema.VERSION) {
+                throw new Error('This backup was made by a newer version of the extension. Update it first.');
+            }
+            return backup;
+        }
+
+        /**
+         * Compare a backup with the current data without changing anything
+         * @param {Object} backup - Result of parse()
+         * @returns {Object} Per-section lists of { name, status, value } where status is
+         *          'new' | 'changed' | 'same' | 'invalid' | 'unknown'; `value` is the
+         *          sanitized value that would be imported
+         */
+        preview(backup) {
+            const values = this.config.getAll();
+            const preview = {};
+
+            if (this.isObject(backup.settings)) {
+                preview.settings = Object.entries(backup.settings).map(([key, incoming]) => {
+                    const field = SettingsSchema.properties[key];
+                    if (!field || field.secret || !this.getSettingKeys().includes(key)) {
+                        return { name: key, status: 'unknown' };
+                    }
+                    const value = SettingsSchema.coerce(incoming, field);
+                    if (!SettingsSchema.isValid(value, field)) {
+                        return { name: key, status: 'invalid' };
+                    }
+                    return { name: key, status: this.compare(values[key], value), value };
+                });
+            }
+
+            if (this.isObject(backup.siteProfiles)) {
+                preview.siteProfiles = Object.entries(backup.siteProfiles).map(([domain, profile]) => {
+                    if (!this.isObject(profile) || ConfigService.getDomain(`https://${domain}`) !== domain) {
+                        return { name: domain, status: 'invalid' };
+                    }
+                    const value = SettingsSchema.sanitizeObject(SettingsSchema.siteProfile, profile);
+                    return { name: domain, status: this.compare(values.siteProfiles[domain], value), value };
+                });
+            }
+
+            if (this.isObject(backup.promptTemplates)) {
+                preview.promptTemplates = Object.entries(backup.promptTemplates).flatMap(([id, locales]) => {
+                    if (!this.isObject(locales)) return [{ name: id, status: 'invalid' }];
+                    return Object.entries(locales).map(([locale, template]) => {
+                        const name = `${id} (${locale})`;
+                        if (typeof template !== 'string' || !template.trim()) return { name, status: 'invalid' };
+                        return { name, id, locale, status: this.compare(values.promptTemplates[id]?.[locale], template), value: template };
+                    });
+                });
+            }
+
+            if (Array.isArray(backup.results)) {
+                preview.results = backup.results.map(entry => {
+                    const valid = this.isObject(entry) && typeof entry.key === 'string' && typeof entry.value === 'string';
+                    return { name: valid ? `${entry.operation || 'result'}: ${entry.url || ''}` : 'result', status: valid ? 'new' : 'invalid', value: entry };
+                });
+            }
+
+            if (this.isObject(backup.apiKeys)) {
+                preview.apiKeys = Object.entries(backup.apiKeys).map(([key, incoming]) => {
+                    const field = SettingsSchema.properties[key];
+                    if (!field?.secret) return { name: key, status: 'unknown' };
+                    if (!SettingsSchema.isValid(incoming, field) || !incoming) return { name: key, status: 'invalid' };
+                    return { name: key, status: this.compare(values[key], incoming), value: incoming };
+                });
+            }
+
+            return preview;
+        }
+
+        /**
+         * Import the selected sections of a previewed backup
+         * @param {Object} preview - Result of preview()
+         * @param {Object} options - Import options
+         * @param {string[]} options.sections - Sections to import
+         * @param {string} options.mode - 'merge' keeps profiles and templates that are not
+         *        in the file; 'replace' makes those sections match the file exactly
+         * @returns {Promise<Object>} Number of imported items per section
+         * @throws {Error} When importing API keys while they are locked
+         */
+        async apply(preview, { sections = [], mode = 'merge' } = {}) {
+            const current = this.config.getAll();
+            // replace 모드에서는 바뀌지 않은 항목도 다시 써야 지워지지 않음
+            const importable = (section, { includeSame = false } = {}) => (sections.includes(section) ? preview[section] || [] : [])
+                .filter(item => item.status === 'new' || item.status === 'changed' || (includeSame && item.status === 'same'));
+            const countChanged = items => items.filter(item => item.status !== 'same').length;
+            const counts = {};
+            const values = {};
+
+            const settings = importable('settings');
+            settings.forEach(item => { values[item.name] = item.value; });
+            counts.settings = settings.length;
+
+            if (sections.includes('siteProfiles') && preview.siteProfiles) {
+                const profiles = importable('siteProfiles', { includeSame: mode === 'replace' });
+                values.siteProfiles = {
+                    ...(mode === 'replace' ? {} : current.siteProfiles),
+                    ...Object.fromEntries(profiles.map(item => [item.name, item.value]))
+                };
+                counts.siteProfiles = countChanged(profiles);
+            }
+
+            if (sections.includes('promptTemplates') && preview.promptTemplates) {
+                const templates = structuredClone(mode === 'replace' ? {} : current.promptTemplates);
+                const items = importable('promptTemplates', { includeSame: mode === 'replace' });
+                items.forEach(({ id, locale, value }) => {
+                    templates[id] = { ...templates[id], [locale]: value };
+                });
+                values.promptTemplates = templates;
+                counts.promptTemplates = countChanged(items);
+            }
+
+            const apiKeys = importable('apiKeys');
+            apiKeys.forEach(item => { values[item.name] = item.value; });
+            counts.apiKeys = apiKeys.length;
+
+            if (Object.keys(values).length) {
+                await this.config.set(values);
+            }
+
+            const results = this.cache ? importable('results') : [];
+            for (const { value } of results) {
+                await this.cache.set(value.key, value.value, { url: value.url, operation: value.operation });
+            }
+            counts.results = results.length;
+
+            return counts;
+        }
+
+        compare(current, incoming) {
+            if (current === undefined) return 'new';
+            return JSON.stringify(current) === JSON.stringify(incoming) ? 'same' : 'changed';
+        }
+
+        isObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+    }
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SettingsBackup;
+    } else {
+        self.SettingsBackup = SettingsBackup;
+    }
+}
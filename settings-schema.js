@@ -0,0 +1,263 @@
+/**
+ * Settings Schema
+ * Declared types and defaults for every setting, validation/repair of stored
+ * values, and the ordered migrations run when the extension is updated
+ */
+
+// content script는 여러 번 주입될 수 있으므로 중복 선언 방지
+if (typeof globalThis.SettingsSchema === 'undefined') {
+    // OUTPUT_LANGUAGES (ai/prompt-templates.js)와 같은 코드
+    const OUTPUT_LANGUAGE_CODES = ['ko', 'en', 'ja', 'zh', 'es', 'fr', 'de'];
+
+    const SettingsSchema = {
+        // 1 = 스키마 도입 이전 (키가 느슨하게 저장되던 버전)
+        VERSION: 3,
+        VERSION_KEY: 'settingsVersion',
+
+        // 예전 README 안내대로 저장된 자리표시자 값은 무효
+        PLACEHOLDER_VALUES: ['YOUR_API_KEY_HERE', 'your-api-key'],
+
+        /**
+         * type: string | number | integer | boolean | object
+         * secret: stored through SecretStore, never in chrome.storage.sync
+         */
+        properties: {
+            AI_PROVIDER: { type: 'string', enum: ['gemini', 'openai', 'ollama'], default: 'gemini' },
+            GEMINI_API_KEY: { type: 'string', default: '', secret: true },
+            GEMINI_MODEL: { type: 'string', minLength: 1, default: 'gemini-2.0-flash' },
+            GEMINI_BASE_URL: { type: 'string', format: 'url', default: 'https://generativelanguage.googleapis.com/v1beta/models' },
+            GEMINI_MAX_TOKENS: { type: 'integer', minimum: 1, maximum: 8192, default: 2048 },
+            GEMINI_TEMPERATURE: { type: 'number', minimum: 0, maximum: 2, default: 0.7 },
+            OPENAI_API_KEY: { type: 'string', default: '', secret: true },
+            OPENAI_BASE_URL: { type: 'string', format: 'url', default: 'https://api.openai.com/v1' },
+            OPENAI_MODEL: { type: 'string', minLength: 1, default: 'gpt-4o-mini' },
+            OLLAMA_BASE_URL: { type: 'string', format: 'url', default: 'http://localhost:11434' },
+            OLLAMA_MODEL: { type: 'string', minLength: 1, default: 'llama3.2' },
+            // 모든 탭의 AI 요청에 함께 적용 (ai/request-scheduler.js)
+            requestsPerMinute: { type: 'integer', minimum: 1, maximum: 1000, default: 15 },
+            maxConcurrentRequests: { type: 'integer', minimum: 1, maximum: 10, default: 2 },
+            outputLanguage: { type: 'string', enum: OUTPUT_LANGUAGE_CODES, default: 'ko' },
+            promptTemplates: { type: 'object', default: {} },
+            autoHighlight: { type: 'boolean', default: false },
+            summaryLength: { type: 'string', enum: ['short', 'medium', 'long'], default: 'medium' },
+            theme: { type: 'string', enum: ['light', 'dark'], default: 'light' },
+            EXTENSION_VERSION: { type: 'string', default: '1.0.0' },
+            DEBUG_MODE: { type: 'boolean', default: false },
+            // { 'example.com': site profile } (see siteProfile below)
+            siteProfiles: { type: 'object', values: 'siteProfile', default: {} }
+        },
+
+        /**
+         * Per-domain overrides; empty strings mean "use the global behaviour"
+         */
+        siteProfile: {
+            mainSelectors: { type: 'string', default: '' },
+            excludeSelectors: { type: 'string', default: '' },
+            autoSummarize: { type: 'boolean', default: false },
+            autoHighlight: { type: 'boolean', default: false },
+            targetLanguage: { type: 'string', enum: ['', ...OUTPUT_LANGUAGE_CODES], default: '' },
+            neverSendToAI: { type: 'boolean', default: false }
+        },
+
+        getDefaults() {
+            return Object.fromEntries(Object.entries(this.properties).map(([key, field]) => [
+                key,
+                structuredClone(field.default)
+            ]));
+        },
+
+        getSecretKeys() {
+            return Object.keys(this.properties).filter(key => this.properties[key].secret);
+        },
+
+        // ==================== VALIDATION ====================
+
+        /**
+         * @returns {boolean} Whether a value satisfies its field declaration
+         */
+        isValid(value, field) {
+            switch (field.type) {
+                case 'string': if (typeof value !== 'string') return false; break;
+                case 'number': if (typeof value !== 'number' || !Number.isFinite(value)) return false; break;
+                case 'integer': if (!Number.isInteger(value)) return false; break;
+                case 'boolean': if (typeof value !== 'boolean') return false; break;
+                case 'object': if (value === null || typeof value !== 'object' || Array.isArray(value)) return false; break;
+            }
+
+            if (field.enum && !field.enum.includes(value)) return false;
+            if (typeof field.minimum === 'number' && value < field.minimum) return false;
+            if (typeof field.maximum === 'number' && value > field.maximum) return false;
+            if (typeof field.minLength === 'number' && value.length < field.minLength) return false;
+            if (field.format === 'url' && !this.isHttpUrl(value)) return false;
+            if (this.PLACEHOLDER_VALUES.includes(value)) return false;
+            return true;
+        },
+
+        isHttpUrl(value) {
+            try {
+                const url = new URL(value);
+                return url.protocol === 'http:' || url.protocol === 'https:';
+            } catch {
+                return false;
+            }
+        },
+
+        /**
+         * Convert values written by older code ('0.7', 'true', ' gpt-4o ') to the declared type
+         */
+        coerce(value, field) {
+            switch (field.type) {
+                case 'number':
+                case 'integer': {
+                    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                    if (typeof number !== 'number' || !Number.isFinite(number)) return value;
+                    const rounded = field.type === 'integer' ? Math.round(number) : number;
+                    return Math.min(field.maximum ?? Infinity, Math.max(field.minimum ?? -Infinity, rounded));
+                }
+                case 'boolean':
+                    if (value === 'true') return true;
+                    if (value === 'false') return false;
+                    return value;
+                case 'string':
+                    return typeof value === 'string' ? value.trim() : value;
+                default:
+                    return value;
+            }
+        },
+
+        /**
+         * Valid value for a key: the stored value, coerced if possible, else the default
+         * @param {string} key - Setting key
+         * @param {*} value - Stored value (undefined when missing)
+         * @returns {*} Value safe to use (unknown keys are returned unchanged)
+         */
+        sanitize(key, value) {
+            const field = this.properties[key];
+            return field ? this.sanitizeField(field, value) : value;
+        },
+
+        sanitizeField(field, value) {
+            if (value === undefined || value === null) return structuredClone(field.default);
+
+            const coerced = this.coerce(value, field);
+            if (!this.isValid(coerced, field)) return structuredClone(field.default);
+
+            // 객체 맵은 항목마다 선언된 구조로 정리 (예: siteProfiles)
+            if (field.values) {
+                return Object.fromEntries(Object.entries(coerced).map(([name, item]) => [
+                    name,
+                    this.sanitizeObject(this[field.values], item)
+                ]));
+            }
+            return coerced;
+        },
+
+        /**
+         * Object with exactly the declared fields, each valid
+         * @param {Object} properties - Field declarations (e.g. SettingsSchema.siteProfile)
+         * @param {Object} value - Stored object (may be partial or corrupted)
+         */
+        sanitizeObject(properties, value) {
+            const source = value && typeof value === 'object' ? value : {};
+            return Object.fromEntries(Object.entries(properties).map(([key, field]) => [
+                key,
+                this.sanitizeField(field, source[key])
+            ]));
+        },
+
+        /**
+         * Repair every schema key in a chrome.storage.sync snapshot
+         * @param {Object} stored - Result of chrome.storage.sync.get(null)
+         * @returns {{values: Object, repaired: string[]}} Replacement values for the repaired keys
+         */
+        repair(stored) {
+            const values = {};
+            Object.entries(stored).forEach(([key, value]) => {
+                const field = this.properties[key];
+                if (!field || field.secret) return;
+
+                const sanitized = this.sanitize(key, value);
+                if (JSON.stringify(sanitized) !== JSON.stringify(value)) {
+                    values[key] = sanitized;
+                }
+            });
+            return { values, repaired: Object.keys(values) };
+        },
+
+        // ==================== MIGRATIONS ====================
+
+        /**
+         * Ordered migrations. Each receives a snapshot of chrome.storage.sync and
+         * returns the keys to set and remove.
+         */
+        migrations: [
+            {
+                version: 2,
+                description: 'Move API keys to device-local storage and drop the loose version field',
+                async migrate(stored, { secrets }) {
+                    const remove = ['version'];
+                    const keys = {};
+                    SettingsSchema.getSecretKeys().forEach(key => {
+                        if (stored[key] === undefined) return;
+                        remove.push(key);
+                        if (SettingsSchema.isValid(stored[key], SettingsSchema.properties[key])) {
+                            keys[key] = stored[key];
+                        }
+                    });
+
+                    if (Object.keys(keys).length) {
+                        // 이미 로컬에 있는 키는 덮어쓰지 않음
+                        const { values } = await secrets.readAll();
+                        const missing = Object.fromEntries(Object.entries(keys).filter(([key]) => !values[key]));
+                        if (Object.keys(missing).length) await secrets.write(missing);
+                    }
+                    return { set: {}, remove };
+                }
+            },
+            {
+                version: 3,
+                description: 'Replace the unused language setting with outputLanguage',
+                async migrate(stored) {
+                    // 설치 시 기본값('en')은 사용자가 고른 값이 아니므로 옮기지 않음
+                    const set = {};
+                    if (stored.outputLanguage === undefined && stored.language !== 'en'
+                        && OUTPUT_LANGUAGE_CODES.includes(stored.language)) {
+                        set.outputLanguage = stored.language;
+                    }
+                    return { set, remove: ['language'] };
+                }
+            }
+        ],
+
+        /**
+         * Run every migration newer than the stored settings version
+         * @param {Object} context - Passed to each migration
+         * @param {SecretStore} context.secrets - API key storage
+         * @returns {Promise<number>} Settings version after migrating
+         */
+        async migrate(context) {
+            const stored = await chrome.storage.sync.get(null);
+            let version = stored[this.VERSION_KEY] || 1;
+
+            for (const migration of this.migrations) {
+                if (migration.version <= version) continue;
+
+                const snapshot = await chrome.storage.sync.get(null);
+                const { set = {}, remove = [] } = await migration.migrate(snapshot, context);
+                if (remove.length) await chrome.storage.sync.remove(remove);
+                await chrome.storage.sync.set({ ...set, [this.VERSION_KEY]: migration.version });
+
+                version = migration.version;
+                logger.log(`Settings migrated to v${version}: ${migration.description}`);
+            }
+            return version;
+        }
+    };
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SettingsSchema;
+    } else {
+        self.SettingsSchema = SettingsSchema;
+    }
+}
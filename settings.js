@@ -0,0 +1,769 @@
+/**
+ * Smart Web Assistant - Settings Page
+ * Edits the provider, generation and display settings held by ConfigService
+ */
+class SettingsPage {
+    // 각 provider의 저장 키 (기본값은 ConfigService.DEFAULTS)
+    static PROVIDERS = {
+        gemini: {
+            apiKey: 'GEMINI_API_KEY',
+            model: 'GEMINI_MODEL',
+            requiresKey: true
+        },
+        openai: {
+            apiKey: 'OPENAI_API_KEY',
+            baseUrl: 'OPENAI_BASE_URL',
+            model: 'OPENAI_MODEL',
+            requiresKey: true
+        },
+        ollama: {
+            baseUrl: 'OLLAMA_BASE_URL',
+            model: 'OLLAMA_MODEL',
+            requiresKey: false
+        }
+    };
+
+    static MAX_TOKENS_LIMIT = SettingsSchema.properties.GEMINI_MAX_TOKENS.maximum;
+
+    // 백업 파일의 섹션 이름 (SettingsBackup.SECTIONS)
+    static BACKUP_SECTIONS = {
+        settings: 'Settings',
+        promptTemplates: 'Prompt templates',
+        siteProfiles: 'Site profiles',
+        results: 'Cached results',
+        apiKeys: 'API keys'
+    };
+
+    constructor() {
+        this.form = document.getElementById('settingsForm');
+        this.config = self.appConfig;
+        this.stored = {};
+        this.prompts = new PromptRegistry(this.config);
+        this.testClient = null;
+        this.backup = new SettingsBackup(this.config, new ResponseCache());
+        this.importPreview = null;
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.populateLanguages();
+            await this.loadSettings();
+            await this.loadTemplates();
+            await this.updateVaultStatus();
+            this.loadSiteProfiles(this.getHashDomain());
+            await this.loadShortcuts();
+            this.setupEventListeners();
+        } catch (error) {
+            logger.error('Settings initialization error:', error);
+            this.showSaveStatus('Failed to load settings', true);
+        }
+    }
+
+    // ==================== LOADING ====================
+
+    populateLanguages() {
+        ['outputLanguage', 'siteTargetLanguage'].forEach(id => {
+            const select = document.getElementById(id);
+            Object.entries(OUTPUT_LANGUAGES).forEach(([code, names]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = `${names.en} (${code})`;
+                select.appendChild(option);
+            });
+        });
+    }
+
+    async loadSettings() {
+        await this.config.ready;
+        this.stored = this.config.getAll();
+
+        this.setValue('provider', this.stored.AI_PROVIDER);
+        this.setValue('temperature', this.stored.GEMINI_TEMPERATURE);
+        this.setValue('maxTokens', this.stored.GEMINI_MAX_TOKENS);
+        this.setValue('requestsPerMinute', this.stored.requestsPerMinute);
+        this.setValue('maxConcurrentRequests', this.stored.maxConcurrentRequests);
+        this.setValue('summaryLength', this.stored.summaryLength);
+        this.setValue('outputLanguage', this.stored.outputLanguage);
+        this.setValue('theme', this.stored.theme);
+        document.getElementById('autoHighlight').checked = Boolean(this.stored.autoHighlight);
+        document.getElementById('debugMode').checked = Boolean(this.stored.DEBUG_MODE);
+
+        this.updateTemperatureLabel();
+        this.showProviderFields(this.stored.AI_PROVIDER);
+    }
+
+    setValue(id, value) {
+        document.getElementById(id).value = value ?? '';
+    }
+
+    getValue(id) {
+        return document.getElementById(id).value.trim();
+    }
+
+    // ==================== EVENT LISTENERS ====================
+
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+
+        document.getElementById('provider').addEventListener('change', (e) => {
+            // 전환 전 provider에서 입력한 값은 유지
+            this.rememberProviderFields();
+            this.showProviderFields(e.target.value);
+        });
+        document.getElementById('temperature').addEventListener('input', () => this.updateTemperatureLabel());
+        document.getElementById('toggleApiKey').addEventListener('click', () => this.toggleApiKey());
+        document.getElementById('testConnectionBtn').addEventListener('click', () => this.testConnection());
+
+        document.getElementById('templateId').addEventListener('change', () => this.showTemplate());
+        document.getElementById('templateLocale').addEventListener('change', () => this.showTemplate());
+        document.getElementById('saveTemplateBtn').addEventListener('click', () => this.saveTemplate());
+        document.getElementById('resetTemplateBtn').addEventListener('click', () => this.resetTemplate());
+
+        document.getElementById('siteDomain').addEventListener('change', () => this.showSiteProfile());
+        document.getElementById('saveSiteProfileBtn').addEventListener('click', () => this.saveSiteProfile());
+        document.getElementById('deleteSiteProfileBtn').addEventListener('click', () => this.deleteSiteProfile());
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportBackup());
+        document.getElementById('importBtn').addEventListener('click', () => document.getElementById('importFile').click());
+        document.getElementById('importFile').addEventListener('change', (e) => this.previewImport(e.target.files[0]));
+        document.getElementById('applyImportBtn').addEventListener('click', () => this.applyImport());
+        document.getElementById('cancelImportBtn').addEventListener('click', () => this.closeImportPreview());
+        document.getElementById('editShortcutsBtn').addEventListener('click', () => this.openShortcutSettings());
+
+        // chrome://extensions/shortcuts에서 바꾼 키를 돌아왔을 때 반영
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.loadShortcuts();
+        });
+
+        // 팝업의 "Site profile" 버튼은 settings.html#site=<domain>을 연다
+        window.addEventListener('hashchange', () => this.loadSiteProfiles(this.getHashDomain()));
+
+        const secrets = this.config.secrets;
+        document.getElementById('enableEncryptionBtn').addEventListener('click', () => (
+            this.runVaultAction(passphrase => secrets.enableEncryption(passphrase), '✅ API keys encrypted')
+        ));
+        document.getElementById('unlockBtn').addEventListener('click', () => (
+            this.runVaultAction(passphrase => secrets.unlock(passphrase), '✅ API keys unlocked')
+        ));
+        document.getElementById('lockBtn').addEventListener('click', () => (
+            this.runVaultAction(() => secrets.lock(), '🔒 API keys locked', { needsPassphrase: false })
+        ));
+        document.getElementById('disableEncryptionBtn').addEventListener('click', () => (
+            this.runVaultAction(() => secrets.disableEncryption(), 'API key encryption removed', { needsPassphrase: false })
+        ));
+    }
+
+    // ==================== PROVIDER FIELDS ====================
+
+    showProviderFields(providerId) {
+        const provider = SettingsPage.PROVIDERS[providerId] || SettingsPage.PROVIDERS.gemini;
+        this.currentProvider = providerId;
+
+        document.getElementById('apiKeyField').hidden = !provider.apiKey;
+        document.getElementById('baseUrlField').hidden = !provider.baseUrl;
+        document.getElementById('apiKeyHint').hidden = providerId !== 'gemini';
+
+        const defaults = ConfigService.DEFAULTS;
+        this.setValue('apiKey', provider.apiKey ? this.stored[provider.apiKey] : '');
+        document.getElementById('apiKey').placeholder = this.config.locked ? '🔒 Locked - unlock below to view or test' : '';
+        this.setValue('baseUrl', provider.baseUrl ? this.stored[provider.baseUrl] || defaults[provider.baseUrl] : '');
+        this.setValue('model', this.stored[provider.model] || defaults[provider.model]);
+        document.getElementById('baseUrl').placeholder = defaults[provider.baseUrl] || '';
+        document.getElementById('model').placeholder = defaults[provider.model];
+
+        this.clearErrors();
+        this.showTestResult('');
+    }
+
+    rememberProviderFields() {
+        const provider = SettingsPage.PROVIDERS[this.currentProvider];
+        if (!provider) return;
+
+        if (provider.apiKey) this.stored[provider.apiKey] = this.getValue('apiKey');
+        if (provider.baseUrl) this.stored[provider.baseUrl] = this.getValue('baseUrl');
+        this.stored[provider.model] = this.getValue('model');
+    }
+
+    updateTemperatureLabel() {
+        document.getElementById('temperatureValue').textContent = this.getValue('temperature');
+    }
+
+    toggleApiKey() {
+        const input = document.getElementById('apiKey');
+        const button = document.getElementById('toggleApiKey');
+        const hidden = input.type === 'password';
+        input.type = hidden ? 'text' : 'password';
+        button.textContent = hidden ? '🙈 Hide' : '👁 Show';
+    }
+
+    // ==================== VALIDATION ====================
+
+    /**
+     * Read and validate the provider section of the form
+     * @returns {{values: Object, errors: Object}} Parsed values and per-field error messages
+     */
+    readProviderForm() {
+        const providerId = this.getValue('provider');
+        const provider = SettingsPage.PROVIDERS[providerId];
+        const errors = {};
+
+        const apiKey = this.getValue('apiKey');
+        const baseUrl = this.getValue('baseUrl').replace(/\/+$/, '');
+        const model = this.getValue('model');
+        const temperature = Number(this.getValue('temperature'));
+        const maxTokens = Number(this.getValue('maxTokens'));
+        const requestsPerMinute = Number(this.getValue('requestsPerMinute'));
+        const maxConcurrentRequests = Number(this.getValue('maxConcurrentRequests'));
+
+        // 잠긴 상태에서 비워두면 저장된 키를 유지
+        if (provider.requiresKey && !apiKey && !this.config.locked) {
+            errors.apiKey = 'An API key is required for this provider.';
+        }
+        if (provider.baseUrl && !SettingsSchema.isHttpUrl(baseUrl)) {
+            errors.baseUrl = 'Enter a valid http(s) URL.';
+        }
+        if (!model) {
+            errors.model = 'Enter a model name.';
+        } else if (/[\s/?#]/.test(model) && providerId === 'gemini') {
+            errors.model = 'Model names cannot contain spaces, "/", "?" or "#".';
+        }
+        if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+            errors.temperature = 'Temperature must be between 0 and 2.';
+        }
+        if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > SettingsPage.MAX_TOKENS_LIMIT) {
+            errors.maxTokens = `Max output tokens must be a whole number from 1 to ${SettingsPage.MAX_TOKENS_LIMIT}.`;
+        }
+        const { requestsPerMinute: rateField, maxConcurrentRequests: concurrencyField } = SettingsSchema.properties;
+        if (!SettingsSchema.isValid(requestsPerMinute, rateField)) {
+            errors.requestsPerMinute = `Requests per minute must be a whole number from 1 to ${rateField.maximum}.`;
+        }
+        if (!SettingsSchema.isValid(maxConcurrentRequests, concurrencyField)) {
+            errors.maxConcurrentRequests = `Requests at once must be a whole number from 1 to ${concurrencyField.maximum}.`;
+        }
+
+        return {
+            values: { providerId, apiKey, baseUrl, model, temperature, maxTokens, requestsPerMinute, maxConcurrentRequests },
+            errors
+        };
+    }
+
+    showErrors(errors) {
+        this.clearErrors();
+        Object.entries(errors).forEach(([field, message]) => {
+            document.getElementById(field)?.classList.add('invalid');
+            const element = this.form.querySelector(`[data-error-for="${field}"]`);
+            if (element) element.textContent = message;
+        });
+
+        const first = Object.keys(errors)[0];
+        if (first) document.getElementById(first)?.focus();
+        return Object.keys(errors).length === 0;
+    }
+
+    clearErrors() {
+        this.form.querySelectorAll('.invalid').forEach(element => element.classList.remove('invalid'));
+        this.form.querySelectorAll('.field-error').forEach(element => { element.textContent = ''; });
+    }
+
+    // ==================== SAVE ====================
+
+    async saveSettings() {
+        const { values, errors } = this.readProviderForm();
+        if (!this.showErrors(errors)) {
+            this.showSaveStatus('Please fix the highlighted fields', true);
+            return;
+        }
+
+        const provider = SettingsPage.PROVIDERS[values.providerId];
+        const settings = {
+            AI_PROVIDER: values.providerId,
+            [provider.model]: values.model,
+            GEMINI_TEMPERATURE: values.temperature,
+            GEMINI_MAX_TOKENS: values.maxTokens,
+            requestsPerMinute: values.requestsPerMinute,
+            maxConcurrentRequests: values.maxConcurrentRequests,
+            summaryLength: this.getValue('summaryLength'),
+            outputLanguage: this.getValue('outputLanguage'),
+            autoHighlight: document.getElementById('autoHighlight').checked,
+            DEBUG_MODE: document.getElementById('debugMode').checked,
+            theme: this.getValue('theme')
+        };
+        if (provider.apiKey && (values.apiKey || !this.config.locked)) settings[provider.apiKey] = values.apiKey;
+        if (provider.baseUrl) settings[provider.baseUrl] = values.baseUrl;
+
+        const saveBtn = document.getElementById('saveBtn');
+        saveBtn.disabled = true;
+        try {
+            await this.config.set(settings);
+            Object.assign(this.stored, settings);
+            this.showSaveStatus('✅ Settings saved');
+        } catch (error) {
+            logger.error('Failed to save settings:', error);
+            this.showSaveStatus(`Failed to save settings: ${error.message}`, true);
+        } finally {
+            saveBtn.disabled = false;
+        }
+    }
+
+    showSaveStatus(message, isError = false) {
+        const element = document.getElementById('saveStatus');
+        element.textContent = message;
+        element.className = `save-status ${isError ? 'error' : 'success'}`;
+    }
+
+    // ==================== CONNECTION TEST ====================
+
+    /**
+     * Send a tiny request with the values currently in the form (saved or not)
+     */
+    async testConnection() {
+        const { values, errors } = this.readProviderForm();
+        if (!this.showErrors(errors)) {
+            this.showTestResult('Please fix the highlighted fields', true);
+            return;
+        }
+        if (SettingsPage.PROVIDERS[values.providerId].requiresKey && !values.apiKey) {
+            this.showTestResult('Unlock your API keys first', true);
+            return;
+        }
+
+        const button = document.getElementById('testConnectionBtn');
+        button.disabled = true;
+        this.showTestResult('Testing...');
+
+        try {
+            // 저장하지 않은 폼 값으로 시험하므로 전용 클라이언트 사용
+            if (!this.testClient) {
+                this.testClient = new GeminiClient(this.config);
+                this.testClient.retryPolicy = new AIRetry.RetryPolicy({ maxAttempts: 1 });
+            }
+            const client = this.testClient;
+            await client.providerReady;
+            client.useProvider(values.providerId, {
+                apiKey: values.apiKey,
+                baseUrl: values.baseUrl || undefined,
+                model: values.model
+            });
+
+            const startedAt = performance.now();
+            await client.generateText('Reply with OK.', {
+                operation: 'connectionTest',
+                temperature: values.temperature,
+                maxOutputTokens: 5
+            });
+            const latency = Math.round(performance.now() - startedAt);
+            this.showTestResult(`✅ Connected to ${values.model} (${latency} ms)`);
+        } catch (error) {
+            logger.error('Connection test failed:', error);
+            this.showTestResult(`❌ ${AIErrors.describe(error).message}`, true);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    showTestResult(message, isError = false) {
+        const element = document.getElementById('testResult');
+        element.textContent = message;
+        element.className = `test-result ${isError ? 'error' : 'success'}`;
+    }
+
+    // ==================== API KEY ENCRYPTION ====================
+
+    async updateVaultStatus() {
+        const { encrypted, unlocked } = await this.config.secrets.getStatus();
+        const status = document.getElementById('vaultStatus');
+        status.textContent = !encrypted
+            ? 'Keys are stored unencrypted on this device.'
+            : unlocked ? '🔓 Keys are encrypted and unlocked for this browser session.' : '🔒 Keys are encrypted and locked.';
+        status.className = `vault-status ${encrypted && !unlocked ? 'error' : ''}`;
+
+        document.getElementById('enableEncryptionBtn').hidden = encrypted;
+        document.getElementById('unlockBtn').hidden = !encrypted || unlocked;
+        document.getElementById('lockBtn').hidden = !encrypted || !unlocked;
+        document.getElementById('disableEncryptionBtn').hidden = !encrypted || !unlocked;
+        document.getElementById('passphrase').closest('.field').hidden = encrypted && unlocked;
+    }
+
+    /**
+     * Run a SecretStore operation, then reload the (possibly decrypted) keys into the form
+     */
+    async runVaultAction(action, successMessage, { needsPassphrase = true } = {}) {
+        const input = document.getElementById('passphrase');
+        const passphrase = input.value;
+        if (needsPassphrase && passphrase.length < 8) {
+            this.showErrors({ passphrase: 'Use a passphrase of at least 8 characters.' });
+            return;
+        }
+
+        try {
+            this.clearErrors();
+            await action(passphrase);
+            input.value = '';
+
+            // 잠금 해제된 키를 폼에 반영 (편집 중인 다른 값은 유지)
+            this.rememberProviderFields();
+            await this.config.loadSecrets();
+            ConfigService.SECRET_KEYS.forEach(key => { this.stored[key] = this.config.get(key); });
+            this.showProviderFields(this.getValue('provider'));
+            this.showSaveStatus(successMessage);
+        } catch (error) {
+            logger.error('API key encryption action failed:', error);
+            this.showErrors({ passphrase: error.message });
+        }
+        await this.updateVaultStatus();
+    }
+
+    // ==================== SITE PROFILES ====================
+
+    getHashDomain() {
+        return new URLSearchParams(location.hash.slice(1)).get('site') || '';
+    }
+
+    /**
+     * Fill the site select with the stored profiles and show one of them
+     * @param {string} selected - Domain to show (the first profile if omitted)
+     */
+    loadSiteProfiles(selected = '') {
+        const select = document.getElementById('siteDomain');
+        const domains = Object.keys(this.config.get('siteProfiles')).sort();
+        select.innerHTML = '';
+
+        [...domains, ''].forEach(domain => {
+            const option = document.createElement('option');
+            option.value = domain;
+            option.textContent = domain || '➕ New site...';
+            select.appendChild(option);
+        });
+
+        select.value = domains.includes(selected) ? selected : domains[0] || '';
+        if (selected && !domains.includes(selected)) {
+            this.setValue('newSiteDomain', selected);
+        }
+        this.showSiteProfile();
+
+        if (selected) {
+            document.getElementById('siteProfiles').scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    showSiteProfile() {
+        const domain = this.getValue('siteDomain');
+        const profile = SettingsSchema.sanitizeObject(SettingsSchema.siteProfile, this.config.get('siteProfiles')[domain]);
+
+        document.getElementById('newSiteField').hidden = Boolean(domain);
+        document.getElementById('deleteSiteProfileBtn').hidden = !domain;
+        this.setValue('siteMainSelectors', profile.mainSelectors);
+        this.setValue('siteExcludeSelectors', profile.excludeSelectors);
+        this.setValue('siteTargetLanguage', profile.targetLanguage);
+        document.getElementById('siteAutoSummarize').checked = profile.autoSummarize;
+        document.getElementById('siteAutoHighlight').checked = profile.autoHighlight;
+        document.getElementById('siteNeverSendToAI').checked = profile.neverSendToAI;
+        this.clearErrors();
+    }
+
+    /**
+     * Read and validate the site profile section of the form
+     * @returns {{domain: string, profile: Object, errors: Object}}
+     */
+    readSiteProfileForm() {
+        const errors = {};
+        const input = this.getValue('siteDomain') || this.getValue('newSiteDomain').toLowerCase();
+        // 'https://www.example.com/page'처럼 붙여넣은 주소도 허용
+        const domain = ConfigService.getDomain(input.includes('://') ? input : `https://${input}`);
+        if (!domain || domain.includes('*')) {
+            errors.newSiteDomain = 'Enter a domain such as example.com.';
+        }
+
+        const profile = {
+            mainSelectors: this.getValue('siteMainSelectors'),
+            excludeSelectors: this.getValue('siteExcludeSelectors'),
+            targetLanguage: this.getValue('siteTargetLanguage'),
+            autoSummarize: document.getElementById('siteAutoSummarize').checked,
+            autoHighlight: document.getElementById('siteAutoHighlight').checked,
+            neverSendToAI: document.getElementById('siteNeverSendToAI').checked
+        };
+        ['mainSelectors', 'excludeSelectors'].forEach(key => {
+            const field = `site${key[0].toUpperCase()}${key.slice(1)}`;
+            if (profile[key] && !this.isValidSelector(profile[key])) {
+                errors[field] = 'This is not a valid CSS selector.';
+            }
+        });
+
+        return { domain, profile, errors };
+    }
+
+    isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async saveSiteProfile() {
+        const { domain, profile, errors } = this.readSiteProfileForm();
+        if (!this.showErrors(errors)) {
+            this.showSaveStatus('Please fix the highlighted fields', true);
+            return;
+        }
+
+        try {
+            await this.config.saveSiteProfile(domain, profile);
+            this.setValue('newSiteDomain', '');
+            this.loadSiteProfiles(domain);
+            this.showSaveStatus(`✅ Profile for ${domain} saved`);
+        } catch (error) {
+            logger.error('Failed to save site profile:', error);
+            this.showSaveStatus(`Failed to save site profile: ${error.message}`, true);
+        }
+    }
+
+    async deleteSiteProfile() {
+        const domain = this.getValue('siteDomain');
+        if (!domain || !confirm(`Delete the profile for ${domain}?`)) return;
+
+        try {
+            await this.config.deleteSiteProfile(domain);
+            this.loadSiteProfiles();
+            this.showSaveStatus(`Profile for ${domain} deleted`);
+        } catch (error) {
+            logger.error('Failed to delete site profile:', error);
+            this.showSaveStatus(`Failed to delete site profile: ${error.message}`, true);
+        }
+    }
+
+    // ==================== KEYBOARD SHORTCUTS ====================
+
+    /**
+     * Show the current key for every manifest command
+     */
+    async loadShortcuts() {
+        const body = document.getElementById('shortcutRows');
+        const commands = await chrome.commands.getAll();
+        body.innerHTML = '';
+
+        commands.filter(command => command.description).forEach(command => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = command.description;
+
+            const key = document.createElement('td');
+            if (command.shortcut) {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = command.shortcut;
+                key.appendChild(kbd);
+            } else {
+                key.className = 'unassigned';
+                key.textContent = 'Not set';
+            }
+
+            row.append(name, key);
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Extensions cannot set their own keys; Chrome's shortcuts page can
+     */
+    openShortcutSettings() {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    }
+
+    // ==================== BACKUP & RESTORE ====================
+
+    async exportBackup() {
+        const button = document.getElementById('exportBtn');
+        button.disabled = true;
+        try {
+            const backup = await this.backup.createExport({
+                includeResults: document.getElementById('exportResults').checked,
+                includeApiKeys: document.getElementById('exportApiKeys').checked
+            });
+            await this.backup.download(backup);
+            this.showBackupStatus('✅ Backup exported');
+        } catch (error) {
+            logger.error('Export failed:', error);
+            this.showBackupStatus(`Export failed: ${error.message}`, true);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Read a backup file and show what importing it would change
+     */
+    async previewImport(file) {
+        if (!file) return;
+        try {
+            const backup = this.backup.parse(await file.text());
+            this.importPreview = this.backup.preview(backup);
+            this.renderImportPreview(backup);
+            this.showBackupStatus('');
+        } catch (error) {
+            logger.error('Import preview failed:', error);
+            this.closeImportPreview();
+            this.showBackupStatus(error.message, true);
+        } finally {
+            // 같은 파일을 다시 선택해도 change 이벤트가 발생하도록
+            document.getElementById('importFile').value = '';
+        }
+    }
+
+    renderImportPreview(backup) {
+        const container = document.getElementById('importSections');
+        container.innerHTML = '';
+        document.getElementById('importSummary').textContent =
+            `Exported ${new Date(backup.exportedAt).toLocaleString()} from version ${backup.extensionVersion || 'unknown'}.`;
+
+        Object.entries(SettingsPage.BACKUP_SECTIONS).forEach(([section, label]) => {
+            const items = this.importPreview[section];
+            if (!items?.length) return;
+
+            const counts = {};
+            items.forEach(item => { counts[item.status] = (counts[item.status] || 0) + 1; });
+            const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'import-section';
+
+            // API 키는 명시적으로 선택한 경우에만 가져옴
+            const field = document.createElement('div');
+            field.className = 'field checkbox-field';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `import-${section}`;
+            checkbox.dataset.section = section;
+            checkbox.checked = section !== 'apiKeys';
+            const labelEl = document.createElement('label');
+            labelEl.htmlFor = checkbox.id;
+            labelEl.textContent = `${label} (${summary})`;
+            field.append(checkbox, labelEl);
+
+            const details = document.createElement('details');
+            const detailsSummary = document.createElement('summary');
+            detailsSummary.textContent = 'Details';
+            const list = document.createElement('ul');
+            items.forEach(item => {
+                const entry = document.createElement('li');
+                const status = document.createElement('span');
+                status.className = `import-status ${item.status}`;
+                status.textContent = item.status;
+                entry.append(`${item.name} `, status);
+                list.appendChild(entry);
+            });
+            details.append(detailsSummary, list);
+
+            wrapper.append(field, details);
+            container.appendChild(wrapper);
+        });
+
+        if (!container.children.length) {
+            container.textContent = 'The file contains nothing to import.';
+        }
+        document.getElementById('importPreview').hidden = false;
+    }
+
+    async applyImport() {
+        if (!this.importPreview) return;
+
+        const sections = [...document.querySelectorAll('#importSections input[data-section]:checked')]
+            .map(input => input.dataset.section);
+        const button = document.getElementById('applyImportBtn');
+        button.disabled = true;
+
+        try {
+            const counts = await this.backup.apply(this.importPreview, {
+                sections,
+                mode: this.getValue('importMode')
+            });
+            this.closeImportPreview();
+
+            // 가져온 값을 폼에 다시 표시
+            await this.loadSettings();
+            this.loadSiteProfiles();
+            this.showTemplate();
+
+            const imported = Object.entries(counts)
+                .filter(([, count]) => count)
+                .map(([section, count]) => `${count} ${SettingsPage.BACKUP_SECTIONS[section].toLowerCase()}`);
+            this.showBackupStatus(`✅ Imported ${imported.join(', ') || 'nothing'}`);
+        } catch (error) {
+            logger.error('Import failed:', error);
+            this.showBackupStatus(`Import failed: ${error.message}`, true);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    closeImportPreview() {
+        this.importPreview = null;
+        document.getElementById('importPreview').hidden = true;
+        document.getElementById('importSections').innerHTML = '';
+    }
+
+    showBackupStatus(message, isError = false) {
+        const element = document.getElementById('backupStatus');
+        element.textContent = message;
+        element.className = `test-result ${isError ? 'error' : 'success'}`;
+    }
+
+    // ==================== PROMPT TEMPLATES ====================
+
+    async loadTemplates() {
+        await this.prompts.ready;
+        const select = document.getElementById('templateId');
+        this.prompts.list().forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id;
+            select.appendChild(option);
+        });
+        this.setValue('templateLocale', this.prompts.getLocale());
+        this.showTemplate();
+    }
+
+    showTemplate() {
+        this.setValue('templateText', this.prompts.getTemplate(this.getValue('templateId'), this.getValue('templateLocale')));
+    }
+
+    async saveTemplate() {
+        const template = document.getElementById('templateText').value;
+        if (!template.trim()) {
+            this.showSaveStatus('A template cannot be empty', true);
+            return;
+        }
+
+        try {
+            await this.prompts.saveOverride(this.getValue('templateId'), this.getValue('templateLocale'), template);
+            this.showSaveStatus('✅ Template saved');
+        } catch (error) {
+            logger.error('Failed to save template:', error);
+            this.showSaveStatus(`Failed to save template: ${error.message}`, true);
+        }
+    }
+
+    async resetTemplate() {
+        try {
+            await this.prompts.resetOverride(this.getValue('templateId'), this.getValue('templateLocale'));
+            this.showTemplate();
+            this.showSaveStatus('✅ Template reset to default');
+        } catch (error) {
+            logger.error('Failed to reset template:', error);
+            this.showSaveStatus(`Failed to reset template: ${error.message}`, true);
+        }
+    }
+}
+
+// ==================== INITIALIZATION ====================
+
+document.addEventListener('DOMContentLoaded', () => {
+    try {
+        new SettingsPage();
+    } catch (error) {
+        logger.error('Failed to initialize SettingsPage:', error);
+    }
+});
@@ -0,0 +1,36 @@
+/**
+ * Theme
+ * Applies the theme setting to extension pages as <html data-theme="light|dark">
+ * and follows changes made on the settings page without a reload
+ */
+
+if (typeof globalThis.ThemeManager === 'undefined') {
+    const ThemeManager = {
+        /**
+         * @param {string} theme - 'light' | 'dark'
+         * @param {HTMLElement} root - Element that carries the data-theme attribute
+         */
+        apply(theme, root = document.documentElement) {
+            root.dataset.theme = theme;
+        },
+
+        /**
+         * Apply the stored theme once settings load, then on every change
+         * @param {ConfigService} config - Live settings (defaults to the shared appConfig)
+         * @returns {Function} Unsubscribe
+         */
+        watch(config = self.appConfig) {
+            config.ready.then(() => this.apply(config.get('theme')));
+            return config.subscribe(changed => this.apply(changed.theme), ['theme']);
+        }
+    };
+
+    // Export for use in other modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ThemeManager;
+    } else {
+        self.ThemeManager = ThemeManager;
+        // 스크립트가 로드되는 즉시 적용 (페이지 스크립트보다 먼저)
+        if (self.document && self.appConfig) ThemeManager.watch();
+    }
+}